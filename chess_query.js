@@ -1,164 +1,1182 @@
 // chess_query.js
-import { Chess } from "chess.js";
+import { Chess, validateFen } from "chess.js";
+import {
+  attacksFrom,
+  betweenMask,
+  forkSquares,
+  layersToCsl,
+  occupancyFromBoard,
+  outposts,
+  positionFromFen,
+  renderLayers,
+  staticExchange,
+  weakSquares,
+} from "./geometry.js";
+import { fromSquares as squaresMask, has, toSquares } from "./squareset.js";
 
 /**
  * Count how many predicates in queryJson are satisfied by the given FEN.
  *
+ * Predicates are evaluated in order against one working position. "move"
+ * predicates mutate it: with assert=true a legal SAN is applied, with
+ * assert=false the SAN must be illegal and is never applied.
+ *
+ * Predicates may be group nodes (and / or / anyOf / not), making the query a
+ * tree. Scoring gives partial credit where it is meaningful:
+ *   - a leaf predicate scores 1 if it matches;
+ *   - an "and" group scores the sum of its children, so "3 of 4 conjuncts
+ *     hold" counts as 3 (an "and" with assert=false is a single negation);
+ *   - "or", "anyOf" and "not" groups score 1 if they hold, else 0.
+ * The maximum possible score is evaluateQuery(...).total.
+ *
  * Verbose mode is debug-only: it console.logs evaluation details but ALWAYS
- * returns a number (no structured return).
+ * returns a number. Use evaluateQuery() for a structured result.
+ *
+ * Throws if queryJson fails validateQuery(): a malformed query is refused
+ * rather than scored as a row of failures. The error's .errors lists why.
  *
- * @param {string} fen
+ * @param {string} [fen] starting position; falls back to queryJson.fen
  * @param {object} queryJson
  * @param {object} [options]
  * @param {boolean} [options.verbose=false]
  * @returns {number}
  */
 export function countMatchedPreconditions(fen, queryJson, options = {}) {
-  const chess = new Chess(fen);
-  const predicates = queryJson?.predicates ?? [];
+  assertValidQuery(queryJson);
+  return runQuery(fen, queryJson, options.verbose === true).matched;
+}
+
+/**
+ * Evaluate queryJson against the given FEN and return one record per
+ * predicate, for UIs that need to show (and draw) what failed.
+ *
+ * Record shape:
+ *   {
+ *     index,    // position in the parent list (queryJson.predicates at top level)
+ *     path,     // e.g. "predicates[3].predicates[0]"
+ *     op,       // "at" | "attacks" | "geometry" | "move" | "and" | ...
+ *     raw,      // did the predicate itself hold?
+ *     assert,   // requested polarity (default true)
+ *     final,    // raw === assert, i.e. counted as matched
+ *     score,    // contribution to matched (see countMatchedPreconditions)
+ *     weight,   // contribution to total
+ *     detail,   // human-readable one-liner
+ *     fen,      // working position BEFORE this predicate was evaluated
+ *     squares,  // squares the predicate talks about, e.g. ["g5", "h7"]
+ *     pieces,   // pieces actually found there, as refs, e.g. ["Ng5", "ph7"]
+ *     children, // group nodes only: child records
+ *   }
+ *
+ * An invalid query (see validateQuery) is not evaluated: the result has
+ * valid=false, its errors, a zero score and no records.
+ *
+ * @param {string} [fen] starting position; falls back to query.fen
+ * @param {object} query
+ * @param {object} [options]
+ * @param {boolean} [options.verbose=false] same console output as countMatchedPreconditions
+ * @returns {{valid: boolean, errors: string[], fen: string, finalFen: string, matched: number, total: number, records: object[]}}
+ */
+export function evaluateQuery(fen, query, options = {}) {
+  const { errors } = validateQuery(query);
+  if (errors.length) {
+    if (options.verbose === true) console.log(`Invalid query:\n  ${errors.join("\n  ")}`);
+    const start = fen || query?.fen || null;
+    return { valid: false, errors, fen: start, finalFen: start, matched: 0, total: 0, records: [] };
+  }
+  return { valid: true, errors: [], ...runQuery(fen, query, options.verbose === true) };
+}
+
+/**
+ * Run a query over every ply of every game in a PGN database, like CQL's
+ * "find all". query.fen is ignored: each game position is the start.
+ *
+ * A position matches when its score (see countMatchedPreconditions) is at
+ * least options.minScore, which defaults to a full match. Lower it to
+ * collect near misses.
+ *
+ * Returns:
+ *   {
+ *     games,    // number of games read
+ *     total,    // best possible score
+ *     matches,  // [{ game, headers, ply, san, fen, matched, total, records }]
+ *               //   game: 0-based index; ply 0 is the start position,
+ *               //   san the move that led to it (null at ply 0)
+ *     errors,   // [{ game, message }] for games chess.js could not load
+ *     pgn,      // matching games only, each matching ply commented
+ *   }
+ *
+ * @param {string} pgnText one or more games
+ * @param {object} query
+ * @param {object} [options]
+ * @param {number} [options.minScore] default: every precondition
+ * @param {string} [options.label] comment prefix, default query.name or "query"
+ * @param {boolean} [options.verbose=false]
+ * @throws if the query fails validateQuery()
+ */
+export function searchDatabase(pgnText, query, options = {}) {
+  assertValidQuery(query);
+
   const verbose = options.verbose === true;
+  const label = options.label ?? query?.name ?? "query";
+
+  const games = splitMultiPgn(pgnText);
+  const matches = [];
+  const errors = [];
+  const outGames = [];
+  let total = null;
+
+  for (let g = 0; g < games.length; g++) {
+    const chess = new Chess();
+    try {
+      chess.loadPgn(games[g]);
+    } catch (e) {
+      errors.push({ game: g, message: String(e?.message ?? e) });
+      if (verbose) console.log(`[game ${g}] skipped: ${String(e?.message ?? e)}`);
+      continue;
+    }
+
+    const headers = chess.getHeaders();
+    const sans = chess.history();
+    while (chess.undo()) {
+      // rewind to the start position; comments are keyed by FEN and survive
+    }
+
+    let hits = 0;
+    for (let ply = 0; ply <= sans.length; ply++) {
+      const fen = chess.fen();
+      const res = runQuery(fen, query, false);
+      total ??= res.total;
+
+      const minScore = options.minScore ?? res.total;
+      if (res.matched >= minScore) {
+        hits++;
+        matches.push({
+          game: g,
+          headers,
+          ply,
+          san: ply ? sans[ply - 1] : null,
+          fen,
+          matched: res.matched,
+          total: res.total,
+          records: res.records,
+        });
+        const prev = chess.getComment();
+        const ours = matchComment(label, res);
+        chess.setComment(prev ? `${prev} ${ours}` : ours);
+      }
+
+      if (ply < sans.length) chess.move(sans[ply]);
+    }
+
+    if (verbose) console.log(`[game ${g}] ${headers.White ?? "?"} - ${headers.Black ?? "?"}: ${hits} matching plies`);
+    if (hits) outGames.push(chess.pgn());
+  }
 
-  let matched = 0;
+  return {
+    games: games.length,
+    total: total ?? 0,
+    matches,
+    errors,
+    pgn: outGames.length ? outGames.join("\n\n") + "\n" : "",
+  };
+}
+
+/**
+ * PGN comment body for a matching ply: score, what is missing, and squares
+ * colored like the board overlay: G where a held precondition found its
+ * pieces, R on every square a failed one talks about.
+ */
+function matchComment(label, res) {
+  const failed = [];
+  const colors = new Map();
+
+  const visit = (r) => {
+    if (r.children) return r.children.forEach(visit);
+    if (r.final) {
+      for (const ref of r.pieces) if (!colors.has(ref.slice(1))) colors.set(ref.slice(1), "G");
+    } else {
+      failed.push(r.detail);
+      for (const sq of r.squares) colors.set(sq, "R");
+    }
+  };
+  res.records.forEach(visit);
+
+  let text = `${label}: ${res.matched}/${res.total}`;
+  if (failed.length) text += ` missing: ${failed.join("; ")}`;
+  if (colors.size) text += ` [%csl ${[...colors].map(([sq, c]) => c + sq).join(",")}]`;
+  return text;
+}
+
+/**
+ * Split a multi-game PGN on blank lines before [Event ...] headers
+ * (same rule as the Games import in index.html).
+ */
+function splitMultiPgn(text) {
+  const t = (text || "").replace(/\r/g, "").trim();
+  if (!t) return [];
+  const parts = t.split(/\n\s*\n(?=\[Event\s+)/g).map((s) => s.trim()).filter(Boolean);
+  return parts.length ? parts : [t];
+}
+
+/* ---------------- validation ---------------- */
+
+/**
+ * Validate a query against universalquery.schema.json. The schema's rules
+ * are mirrored here so nothing is fetched at runtime and every error names
+ * the exact spot, e.g.
+ *   "predicates[2].attacker.ref: 'Nz9' is not a square"
+ *
+ * @param {object} query
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateQuery(query) {
+  const errors = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+
+  if (!isPlainObject(query)) {
+    err("query", `expected an object, got ${describe(query)}`);
+    return { valid: false, errors };
+  }
+
+  checkKeys(query, ["name", "fen", "predicates"], ["predicates"], "", err);
+  if ("name" in query && typeof query.name !== "string") err("name", `expected a string, got ${describe(query.name)}`);
+  if ("fen" in query) {
+    if (typeof query.fen !== "string") err("fen", `expected a string, got ${describe(query.fen)}`);
+    else {
+      const v = validateFen(query.fen);
+      if (!v.ok) err("fen", `'${query.fen}' is not a valid FEN (${v.error})`);
+    }
+  }
+  if ("predicates" in query) checkPredicateList(query.predicates, "predicates", err);
+
+  return { valid: errors.length === 0, errors };
+}
+
+function assertValidQuery(query) {
+  const { errors } = validateQuery(query);
+  if (!errors.length) return;
+  const e = new Error(`Invalid query:\n  ${errors.join("\n  ")}`);
+  e.errors = errors;
+  throw e;
+}
+
+// Required and optional fields per op (besides op and assert).
+const PREDICATE_FIELDS = {
+  at: { required: ["piece"], optional: [] },
+  attacks: { required: ["attacker", "target"], optional: [] },
+  defends: { required: ["defender", "target"], optional: [] },
+  xrays: { required: ["attacker", "target"], optional: ["through"] },
+  pins: { required: ["pinner", "pinned"], optional: ["to"] },
+  checks: { required: ["attacker"], optional: [] },
+  geometry: { required: ["attacker", "targets"], optional: ["min", "blocking"] },
+  weak: { required: ["square", "color"], optional: [] },
+  outpost: { required: ["square", "color"], optional: [] },
+  winsMaterialOn: { required: ["square", "color"], optional: ["min"] },
+  move: { required: ["san"], optional: [] },
+  compare: { required: ["left", "cmp", "right"], optional: [] },
+  and: { required: ["predicates"], optional: [] },
+  or: { required: ["predicates"], optional: [] },
+  anyOf: { required: ["predicates"], optional: ["min"] },
+  not: { required: ["predicate"], optional: [] },
+};
+
+const PIECE_REF_FIELDS = ["piece", "attacker", "target", "defender", "pinner", "pinned"];
+const PIECE_SET_FIELDS = ["through", "to"];
+const COMPARE_OPS = ["==", "!=", "<", "<=", ">", ">="];
+
+function checkPredicateList(list, path, err) {
+  if (!Array.isArray(list)) return err(path, `expected an array, got ${describe(list)}`);
+  if (list.length === 0) return err(path, "must contain at least one predicate");
+  list.forEach((pred, i) => checkPredicate(pred, `${path}[${i}]`, err));
+}
+
+function checkPredicate(pred, path, err) {
+  if (!isPlainObject(pred)) return err(path, `expected a predicate object, got ${describe(pred)}`);
+
+  const fields = PREDICATE_FIELDS[pred.op];
+  if (!fields) {
+    return err(
+      `${path}.op`,
+      "op" in pred
+        ? `unknown op '${pred.op}' (expected one of ${Object.keys(PREDICATE_FIELDS).join(", ")})`
+        : "missing required property"
+    );
+  }
+
+  checkKeys(pred, ["op", "assert", ...fields.required, ...fields.optional], fields.required, path, err);
+  if ("assert" in pred && typeof pred.assert !== "boolean") {
+    err(`${path}.assert`, `expected a boolean, got ${describe(pred.assert)}`);
+  }
+
+  for (const key of PIECE_REF_FIELDS) if (key in pred) checkPieceRefObject(pred[key], `${path}.${key}`, err);
+  for (const key of PIECE_SET_FIELDS) if (key in pred) checkPieceSet(pred[key], `${path}.${key}`, err);
+
+  switch (pred.op) {
+    case "geometry":
+      if (!("targets" in pred)) break;
+      if (!Array.isArray(pred.targets)) err(`${path}.targets`, `expected an array, got ${describe(pred.targets)}`);
+      else if (pred.targets.length === 0) err(`${path}.targets`, "must contain at least one target");
+      else pred.targets.forEach((t, i) => checkPieceRefObject(t, `${path}.targets[${i}]`, err));
+      if ("min" in pred && (!Number.isInteger(pred.min) || pred.min < 1)) {
+        err(`${path}.min`, `expected an integer >= 1, got ${describe(pred.min)}`);
+      } else if ("min" in pred && Array.isArray(pred.targets) && pred.min > pred.targets.length) {
+        err(`${path}.min`, `${pred.min} exceeds the ${pred.targets.length} targets`);
+      }
+      if ("blocking" in pred && typeof pred.blocking !== "boolean") {
+        err(`${path}.blocking`, `expected a boolean, got ${describe(pred.blocking)}`);
+      }
+      break;
+
+    case "weak":
+    case "outpost":
+    case "winsMaterialOn":
+      if ("square" in pred && squareIndex(pred.square) < 0) err(`${path}.square`, `${describe(pred.square)} is not a square`);
+      if ("color" in pred && pred.color !== "w" && pred.color !== "b") {
+        err(`${path}.color`, `expected 'w' or 'b', got ${describe(pred.color)}`);
+      }
+      if ("min" in pred && (!Number.isInteger(pred.min) || pred.min < 1)) {
+        err(`${path}.min`, `expected an integer >= 1, got ${describe(pred.min)}`);
+      }
+      break;
+
+    case "move":
+      if ("san" in pred && (typeof pred.san !== "string" || !pred.san)) {
+        err(`${path}.san`, `expected a non-empty SAN string, got ${describe(pred.san)}`);
+      }
+      break;
+
+    case "compare":
+      if ("left" in pred) checkCountExpr(pred.left, `${path}.left`, err);
+      if ("right" in pred) checkCountExpr(pred.right, `${path}.right`, err);
+      if ("cmp" in pred && !COMPARE_OPS.includes(pred.cmp)) {
+        err(`${path}.cmp`, `${describe(pred.cmp)} is not one of ${COMPARE_OPS.join(" ")}`);
+      }
+      break;
+
+    case "and":
+    case "or":
+    case "anyOf":
+      if ("predicates" in pred) checkPredicateList(pred.predicates, `${path}.predicates`, err);
+      if ("min" in pred && (!Number.isInteger(pred.min) || pred.min < 1)) {
+        err(`${path}.min`, `expected an integer >= 1, got ${describe(pred.min)}`);
+      } else if ("min" in pred && Array.isArray(pred.predicates) && pred.min > pred.predicates.length) {
+        err(`${path}.min`, `${pred.min} exceeds the ${pred.predicates.length} predicates in the group`);
+      }
+      break;
+
+    case "not":
+      if ("predicate" in pred) checkPredicate(pred.predicate, `${path}.predicate`, err);
+      break;
+  }
+}
+
+function checkPieceRefObject(obj, path, err) {
+  if (!isPlainObject(obj)) return err(path, `expected {"ref": ...}, got ${describe(obj)}`);
+  checkKeys(obj, ["ref"], ["ref"], path, err);
+  if ("ref" in obj) checkRefString(obj.ref, `${path}.ref`, false, err);
+}
+
+function checkPieceSet(str, path, err) {
+  checkRefString(str, path, true, err);
+}
+
+/**
+ * Explain why a piece ref (or, with squareOptional, a piece set) is
+ * malformed: the designator part or the square part.
+ */
+function checkRefString(str, path, squareOptional, err) {
+  if (typeof str !== "string") return err(path, `expected a string, got ${describe(str)}`);
+  if (squareOptional ? parsePieceSet(str) : parsePieceRef(str)) return;
+
+  const m = /^(\[[^\]]*\]|.)(.*)$/s.exec(str);
+  const pieces = m ? m[1] : "";
+  const squares = m ? m[2] : "";
+
+  if (!/^(?:\[[PNBRQKpnbrqkAaXx]+\]|[PNBRQKpnbrqkAaXx])$/.test(pieces)) {
+    return err(path, `'${str}' does not start with a piece designator (PNBRQK, pnbrqk, A/a, X/x or a [set])`);
+  }
+  if (!squares && !squareOptional) return err(path, `'${str}' is missing its square`);
+  err(path, `'${str}' is not a square`);
+}
+
+function checkCountExpr(expr, path, err) {
+  if (Number.isInteger(expr)) return;
+  if (!isPlainObject(expr)) return err(path, `expected an integer or a count object, got ${describe(expr)}`);
+
+  const bySquare = expr.fn === "attackers" || expr.fn === "defenders";
+  const byPieces = expr.fn === "power" || expr.fn === "count" || expr.fn === "mobility";
+  if (!bySquare && !byPieces) {
+    return err(
+      `${path}.fn`,
+      "fn" in expr
+        ? `unknown fn '${expr.fn}' (expected attackers, defenders, power, count or mobility)`
+        : "missing required property"
+    );
+  }
+
+  checkKeys(
+    expr,
+    bySquare ? ["fn", "square", "pieces", "plus"] : ["fn", "pieces", "plus"],
+    bySquare ? ["square"] : ["pieces"],
+    path,
+    err
+  );
+  if ("square" in expr && squareIndex(expr.square) < 0) err(`${path}.square`, `${describe(expr.square)} is not a square`);
+  if ("pieces" in expr) checkPieceSet(expr.pieces, `${path}.pieces`, err);
+  if ("plus" in expr && !Number.isInteger(expr.plus)) err(`${path}.plus`, `expected an integer, got ${describe(expr.plus)}`);
+}
+
+function checkKeys(obj, allowed, required, path, err) {
+  const at = (key) => (path ? `${path}.${key}` : key);
+  for (const key of required) if (!(key in obj)) err(at(key), "missing required property");
+  for (const key of Object.keys(obj)) if (!allowed.includes(key)) err(at(key), "unknown property");
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function describe(v) {
+  if (typeof v === "string") return `'${v}'`;
+  if (Array.isArray(v)) return "an array";
+  if (v === null) return "null";
+  return typeof v === "object" ? "an object" : String(v);
+}
+
+const GROUP_OPS = new Set(["and", "or", "anyOf", "not"]);
+
+function runQuery(fen, queryJson, verbose) {
+  const chess = new Chess(fen || queryJson?.fen || undefined);
+  const predicates = queryJson?.predicates ?? [];
+  const startFen = chess.fen();
 
   if (verbose) {
     console.log("=== countMatchedPreconditions ===");
-    console.log("FEN:", fen);
+    console.log("FEN:", startFen);
     console.log("Predicates:", predicates.length);
     console.log("--------------------------------");
   }
 
-  for (let i = 0; i < predicates.length; i++) {
-    const pred = predicates[i];
-    const assertValue = pred?.assert !== false; // default true
+  const records = predicates.map((pred, i) =>
+    evaluateNode(chess, pred, { index: i, path: `predicates[${i}]`, label: String(i) }, verbose)
+  );
+
+  const matched = records.reduce((n, r) => n + r.score, 0);
+  const total = records.reduce((n, r) => n + r.weight, 0);
+
+  if (verbose) {
+    console.log("--------------------------------");
+    console.log(`Matched ${matched} / ${total}`);
+    console.log("================================\n");
+  }
+
+  return {
+    fen: startFen,
+    finalFen: chess.fen(),
+    matched,
+    total,
+    records,
+  };
+}
+
+/**
+ * Evaluate one node of the predicate tree and build its record.
+ *
+ * "and" children share the working position, so their moves carry on to the
+ * rest of the query exactly as if they were inlined. "or" / "anyOf" / "not"
+ * evaluate each child on a scratch copy: a disjunct's moves never leak.
+ */
+function evaluateNode(chess, pred, where, verbose) {
+  const assertValue = pred?.assert !== false; // default true
+  const fenBefore = chess.fen();
+  const depth = where.label.split(".").length - 1;
+
+  let raw;
+  let detail;
+  let squares = [];
+  let children = null;
 
-    let raw = false;
-    let detail = "";
+  if (GROUP_OPS.has(pred?.op)) {
+    if (verbose) console.log(`${"  ".repeat(depth)}[${where.label}] ${pred.op} (`);
 
-    switch (pred?.op) {
-      case "at": {
-        const ref = pred?.piece?.ref;
-        raw = matchesAt(chess, ref);
-        detail = `at ${ref}`;
-        break;
+    const shared = pred.op === "and";
+    const kids = pred.op === "not" ? [pred?.predicate] : pred?.predicates ?? [];
+    const key = pred.op === "not" ? "predicate" : "predicates";
+
+    children = kids.map((kid, i) =>
+      evaluateNode(
+        shared ? chess : new Chess(chess.fen()),
+        kid,
+        {
+          index: i,
+          path: pred.op === "not" ? `${where.path}.${key}` : `${where.path}.${key}[${i}]`,
+          label: `${where.label}.${i}`,
+        },
+        verbose
+      )
+    );
+
+    const held = children.filter((c) => c.final).length;
+    const min = pred.op === "anyOf" ? (Number.isInteger(pred?.min) ? pred.min : 1) : 1;
+
+    if (pred.op === "and") raw = children.length > 0 && held === children.length;
+    else if (pred.op === "or") raw = held >= 1;
+    else if (pred.op === "anyOf") raw = held >= min;
+    else raw = children.length === 1 && held === 0;
+
+    detail =
+      pred.op === "anyOf"
+        ? `anyOf (${held} of ${children.length}, need ${min})`
+        : `${pred.op} (${held} of ${children.length})`;
+
+    for (const c of children) for (const sq of c.squares) if (!squares.includes(sq)) squares.push(sq);
+  } else {
+    ({ raw, detail, squares } = evaluatePredicate(chess, pred, assertValue, verbose));
+  }
+
+  const ok = assertValue ? raw : !raw;
+
+  // Partial credit only for a positive "and": it is just a bracket around
+  // preconditions that would otherwise sit in the flat list.
+  let score = ok ? 1 : 0;
+  let weight = 1;
+  if (pred?.op === "and" && assertValue) {
+    score = children.reduce((n, c) => n + c.score, 0);
+    weight = children.reduce((n, c) => n + c.weight, 0);
+  }
+
+  if (verbose) {
+    console.log(
+      `${"  ".repeat(depth)}${children ? ")" : `[${where.label}]`}`,
+      detail,
+      "| raw:",
+      raw,
+      "| assert:",
+      assertValue,
+      "| final:",
+      ok ? "✔ MATCH" : "✘ FAIL"
+    );
+  }
+
+  const record = {
+    index: where.index,
+    path: where.path,
+    op: pred?.op,
+    raw,
+    assert: assertValue,
+    final: ok,
+    score,
+    weight,
+    detail,
+    fen: fenBefore,
+    squares,
+    pieces: piecesOn(chess.fen() === fenBefore ? chess : new Chess(fenBefore), squares),
+  };
+  if (children) record.children = children;
+  return record;
+}
+
+/**
+ * Evaluate one predicate on the working position (mutating it for moves).
+ * Returns { raw, detail, squares }.
+ */
+function evaluatePredicate(chess, pred, assertValue, verbose) {
+  switch (pred?.op) {
+    case "at": {
+      const ref = pred?.piece?.ref;
+      return {
+        raw: matchesAt(chess, ref),
+        detail: `at ${ref}`,
+        squares: refSquares([ref]),
+      };
+    }
+
+    case "attacks": {
+      const a = pred?.attacker?.ref;
+      const t = pred?.target?.ref;
+      return {
+        raw: matchesAttacks(chess, a, t, verbose),
+        detail: `attacks ${a} -> ${t}`,
+        squares: refSquares([a, t]),
+      };
+    }
+
+    case "defends": {
+      const a = pred?.defender?.ref;
+      const t = pred?.target?.ref;
+      return {
+        raw: matchesAttacks(chess, a, t, verbose, { sameColor: true }),
+        detail: `defends ${a} -> ${t}`,
+        squares: refSquares([a, t]),
+      };
+    }
+
+    case "xrays": {
+      const a = pred?.attacker?.ref;
+      const t = pred?.target?.ref;
+      const through = pred?.through;
+      return {
+        raw: matchesXrays(chess, a, t, through),
+        detail: `xrays ${a} -> ${t}${through ? ` through ${through}` : ""}`,
+        squares: refSquares([a, t]),
+      };
+    }
+
+    case "pins": {
+      const a = pred?.pinner?.ref;
+      const p = pred?.pinned?.ref;
+      const to = pred?.to;
+      return {
+        raw: matchesPins(chess, a, p, to),
+        detail: `pins ${a} -> ${p} -> ${to ?? "king"}`,
+        squares: refSquares([a, p]),
+      };
+    }
+
+    case "checks": {
+      const a = pred?.attacker?.ref;
+      return {
+        raw: matchesChecks(chess, a),
+        detail: `checks ${a}`,
+        squares: refSquares([a]),
+      };
+    }
+
+    case "geometry": {
+      const a = pred?.attacker?.ref;
+      const ts = (pred?.targets ?? []).map((t) => t?.ref);
+      const opts = { min: pred?.min, blocking: pred?.blocking === true };
+      const notes = [
+        opts.min !== undefined ? `${opts.min} of ${ts.length}` : null,
+        opts.blocking ? "blocking" : null,
+      ].filter(Boolean);
+      return {
+        raw: matchesGeometry(chess, a, ts, verbose, opts),
+        detail: `geometry ${a} -> [${ts.join(", ")}]${notes.length ? ` (${notes.join(", ")})` : ""}`,
+        squares: refSquares([a, ...ts]),
+      };
+    }
+
+    case "weak":
+    case "outpost": {
+      const { square, color } = pred;
+      const position = positionFromFen(chess.fen());
+      const mask = pred.op === "weak" ? weakSquares(position, color) : outposts(position, color);
+      return {
+        raw: has(mask, square),
+        detail: `${pred.op} ${square} for ${color === "w" ? "White" : "Black"}`,
+        squares: [square],
+      };
+    }
+
+    case "winsMaterialOn": {
+      // Static exchange with `color` capturing first, whoever is to move.
+      const { square, color } = pred;
+      const min = pred.min ?? 1;
+      const { gain, captures } = staticExchange(positionFromFen(chess.fen()), square, color);
+      const line = captures.map((c) => (c.color === "w" ? c.type.toUpperCase() : c.type) + c.from).join(" ");
+      return {
+        raw: gain >= min,
+        detail: `winsMaterialOn ${square} for ${color === "w" ? "White" : "Black"}: ${gain > 0 ? "+" : ""}${gain}${line ? ` (${line})` : ""}${min > 1 ? `, needs ${min}` : ""}`,
+        squares: [square, ...captures.map((c) => c.from)],
+      };
+    }
+
+    case "move": {
+      const san = pred?.san;
+      const mv = tryMove(chess, san, assertValue);
+      return {
+        raw: !!mv,
+        detail: assertValue ? `move ${san}` : `move ${san} (probe only)`,
+        squares: mv ? [mv.from, mv.to] : [],
+      };
+    }
+
+    case "compare": {
+      const cmp = pred?.cmp;
+      const left = evaluateExpr(chess, pred?.left);
+      const right = evaluateExpr(chess, pred?.right);
+      const ok = left.value !== null && right.value !== null && compareValues(left.value, cmp, right.value);
+      return {
+        raw: ok,
+        detail: `compare ${exprText(left)} ${cmp} ${exprText(right)}`,
+        squares: [...new Set([...left.squares, ...right.squares])],
+      };
+    }
+
+    default:
+      return { raw: false, detail: `unknown op ${pred?.op}`, squares: [] };
+  }
+}
+
+/* ---------------- counts ---------------- */
+
+// Material values as CQL's "power" filter defines them.
+const PIECE_POWER = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+/**
+ * Evaluate a count expression: an integer literal or
+ *   { fn: "attackers", square, pieces? }  pieces attacking square (default: any)
+ *   { fn: "defenders", square, pieces? }  occupant's own pieces attacking it
+ *   { fn: "power", pieces }               summed material value
+ *   { fn: "count", pieces }               number of pieces
+ *   { fn: "mobility", pieces }            legal moves from those pieces
+ * each with an optional integer "plus" offset.
+ *
+ * "pieces" is a piece set with an optional square part: "a", "[nbrq]",
+ * "N[d3,e2]". Returns { value, text, squares }; value is null if malformed.
+ */
+function evaluateExpr(chess, expr) {
+  if (Number.isInteger(expr)) return { value: expr, text: String(expr), squares: [] };
+  if (!expr || typeof expr !== "object") return { value: null, text: String(expr), squares: [] };
+
+  const plus = Number.isInteger(expr.plus) ? expr.plus : 0;
+  const suffix = plus ? (plus > 0 ? `+${plus}` : `${plus}`) : "";
+  const base = countValue(chess, expr);
+
+  return {
+    value: base.value === null ? null : base.value + plus,
+    text: `${base.text}${suffix}`,
+    squares: base.squares,
+  };
+}
+
+function countValue(chess, expr) {
+  const fail = (text) => ({ value: null, text, squares: [] });
+
+  switch (expr.fn) {
+    case "attackers":
+    case "defenders": {
+      const sq = expr.square;
+      const text = `${expr.fn}(${expr.pieces ?? "*"} -> ${sq})`;
+      if (squareIndex(sq) < 0) return fail(text);
+
+      const filter = expr.pieces === undefined ? null : parsePieceSet(expr.pieces);
+      if (expr.pieces !== undefined && !filter) return fail(text);
+
+      let colors = ["w", "b"];
+      if (expr.fn === "defenders") {
+        const occupant = chess.get(sq);
+        colors = occupant ? [occupant.color] : [];
       }
 
-      case "attacks": {
-        const a = pred?.attacker?.ref;
-        const t = pred?.target?.ref;
-        raw = matchesAttacks(chess, a, t, verbose);
-        detail = `attacks ${a} -> ${t}`;
-        break;
+      let n = 0;
+      for (const from of ALL_SQUARES) {
+        const piece = chess.get(from);
+        if (!piece || !colors.includes(piece.color)) continue;
+        if (filter && !pieceSetMatches(filter, from, piece)) continue;
+        if (pieceAttacks(chess, from, sq)) n++;
       }
+      return { value: n, text, squares: [sq] };
+    }
+
+    case "power":
+    case "count": {
+      const text = `${expr.fn}(${expr.pieces})`;
+      const set = parsePieceSet(expr.pieces);
+      if (!set) return fail(text);
 
-      default:
-        raw = false;
-        detail = `unknown op ${pred?.op}`;
+      let n = 0;
+      for (const { piece } of findPieces(chess, set)) n += expr.fn === "power" ? PIECE_POWER[piece.type] : 1;
+      return { value: n, text, squares: set.squares ?? [] };
     }
 
-    const ok = assertValue ? raw : !raw;
-    if (ok) matched++;
+    case "mobility": {
+      const text = `mobility(${expr.pieces})`;
+      const set = parsePieceSet(expr.pieces);
+      if (!set) return fail(text);
 
-    if (verbose) {
-      console.log(
-        `[${i}]`,
-        detail,
-        "| raw:",
-        raw,
-        "| assert:",
-        assertValue,
-        "| final:",
-        ok ? "✔ MATCH" : "✘ FAIL"
-      );
+      let n = 0;
+      for (const { square, piece } of findPieces(chess, set)) {
+        // chess.js only generates moves for the side to move, so count
+        // as if it were this piece's turn.
+        const fenParts = chess.fen().split(" ");
+        fenParts[1] = piece.color;
+        fenParts[3] = "-";
+        n += new Chess(fenParts.join(" ")).moves({ square }).length;
+      }
+      return { value: n, text, squares: set.squares ?? [] };
     }
+
+    default:
+      return fail(`unknown fn ${expr.fn}`);
   }
+}
 
-  if (verbose) {
-    console.log("--------------------------------");
-    console.log(`Matched ${matched} / ${predicates.length}`);
-    console.log("================================\n");
+function exprText(e) {
+  return e.text === String(e.value) ? e.text : `${e.text}=${e.value}`;
+}
+
+function compareValues(a, cmp, b) {
+  switch (cmp) {
+    case "==":
+      return a === b;
+    case "!=":
+      return a !== b;
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    default:
+      return false;
   }
+}
+
+/* ---------------- designators ---------------- */
+
+/**
+ * Parse a piece ref into its piece designators and squares.
+ *
+ *   "Bd3"       white bishop on d3
+ *   "ph7"       black pawn on h7
+ *   "Ae5"/"Xe5" any White piece on e5;  "ae5"/"xe5" any Black piece
+ *   "[NB]d3"    white knight or bishop on d3
+ *   "N[d3,e2]"  white knight on d3 or e2
+ *   "[Qq][d1,d8]" any combination of the two
+ *
+ * Returns { pieces: ["N", "B"], squares: ["d3"] } or null if malformed.
+ */
+export function parsePieceRef(ref) {
+  if (typeof ref !== "string") return null;
+  const m = PIECE_REF_RE.exec(ref);
+  if (!m) return null;
+
+  const pieces = m[1] ? [...m[1]] : [m[2]];
+  const squares = m[3] ? m[3].split(",") : [m[4]];
 
-  return matched;
+  return { pieces: [...new Set(pieces)], squares: [...new Set(squares)] };
 }
 
-/* ---------------- helpers ---------------- */
+const PIECE_REF_RE =
+  /^(?:\[([PNBRQKpnbrqkAaXx]+)\]|([PNBRQKpnbrqkAaXx]))(?:\[([a-h][1-8](?:,[a-h][1-8])*)\]|([a-h][1-8]))$/;
 
 /**
- * pieceRef like "Bd3" (white bishop on d3) or "ph7" (black pawn on h7)
+ * Parse a piece set: a piece ref whose square part is optional.
+ *   "a"        any Black piece anywhere
+ *   "[nbrq]"   any black knight, bishop, rook or queen anywhere
+ *   "N[d3,e2]" a white knight on d3 or e2
+ *
+ * Returns { pieces, squares } with squares === null for "whole board", or
+ * null if malformed.
  */
-function matchesAt(chess, pieceRef) {
-  if (typeof pieceRef !== "string" || pieceRef.length !== 3) return false;
+export function parsePieceSet(str) {
+  if (typeof str !== "string") return null;
+  const m = PIECE_SET_RE.exec(str);
+  if (!m) return null;
+  if (!m[2]) return { pieces: [...new Set(m[1] ? [...m[1]] : [m[0]])], squares: null };
+  return parsePieceRef(str);
+}
+
+const PIECE_SET_RE = /^(?:\[([PNBRQKpnbrqkAaXx]+)\]|[PNBRQKpnbrqkAaXx])(\[[a-h][1-8](?:,[a-h][1-8])*\]|[a-h][1-8])?$/;
 
-  const pieceChar = pieceRef[0];
-  const square = pieceRef.slice(1);
+function pieceSetMatches(set, square, piece) {
+  if (set.squares && !set.squares.includes(square)) return false;
+  return set.pieces.some((ch) => designatorMatches(ch, piece));
+}
 
-  const piece = chess.get(square);
+/**
+ * Every {square, piece} on the board inside a parsed piece set.
+ */
+function findPieces(chess, set) {
+  const out = [];
+  const squares = set.squares ?? ALL_SQUARES;
+  for (const square of squares) {
+    const piece = chess.get(square);
+    if (piece && pieceSetMatches(set, square, piece)) out.push({ square, piece });
+  }
+  return out;
+}
+
+const ALL_SQUARES = [];
+for (let r = 1; r <= 8; r++) for (const f of "abcdefgh") ALL_SQUARES.push(f + r);
+
+/**
+ * Does a chess.js piece ({type, color}) match one designator letter?
+ * A/X = any White, a/x = any Black, otherwise FEN letter + case.
+ */
+function designatorMatches(ch, piece) {
   if (!piece) return false;
+  if (ch === "A" || ch === "X") return piece.color === "w";
+  if (ch === "a" || ch === "x") return piece.color === "b";
+  return piece.type === ch.toLowerCase() && piece.color === (isUpper(ch) ? "w" : "b");
+}
 
-  return (
-    piece.type === pieceChar.toLowerCase() &&
-    piece.color === (isUpper(pieceChar) ? "w" : "b")
-  );
+/**
+ * Every {square, piece} on the board that satisfies the ref, in ref order.
+ */
+function findRef(chess, ref) {
+  const parsed = parsePieceRef(ref);
+  if (!parsed) return [];
+
+  const out = [];
+  for (const square of parsed.squares) {
+    const piece = chess.get(square);
+    if (parsed.pieces.some((ch) => designatorMatches(ch, piece))) out.push({ square, piece });
+  }
+  return out;
+}
+
+/* ---------------- helpers ---------------- */
+
+/**
+ * pieceRef like "Bd3" (white bishop on d3), "ph7" (black pawn on h7),
+ * "Ae5" (any White piece on e5) or a set like "[NB][d3,e2]".
+ */
+function matchesAt(chess, pieceRef) {
+  return findRef(chess, pieceRef).length > 0;
 }
 
 /**
  * attackerRef like "Ng5"
  * targetRef like "ph7"
  *
- * IMPORTANT: Query semantics should ignore side-to-move.
- * Many chess.js versions only generate moves for the side to move, so we
- * create a temporary Chess instance where the active color is set to the
- * attacker's color, then generate legal moves from the attacker square.
+ * Either side may be a designator set; the predicate holds if any matching
+ * attacker attacks any matching target.
+ *
+ * Attacks are pseudo-legal, like CQL's attacks filter: side-to-move, pins
+ * and checks are ignored, and the target may be of either color (use
+ * "defends" to require the attacker's own color).
+ */
+function matchesAttacks(chess, attackerRef, targetRef, verbose, { sameColor = false } = {}) {
+  const attackers = findRef(chess, attackerRef);
+  const targets = findRef(chess, targetRef);
+
+  if (!attackers.length || !targets.length) return false;
+
+  for (const { square: from, piece } of attackers) {
+    for (const { square: to, piece: target } of targets) {
+      if (sameColor && target.color !== piece.color) continue;
+      if (pieceAttacks(chess, from, to)) return true;
+    }
+
+    // Optional deeper debug when verbose:
+    if (verbose) {
+      const hits = ALL_SQUARES.filter((sq) => pieceAttacks(chess, from, sq));
+      console.log(
+        `    (debug) from ${from} attacks:`,
+        hits.length ? hits.join(" ") : "(none)"
+      );
+    }
+  }
+
+  return false;
+}
+
+/**
+ * attackerRef's line to targetRef passes through exactly one piece
+ * (optionally one matching throughRef): a battery, skewer or discovered
+ * attack in waiting.
  */
-function matchesAttacks(chess, attackerRef, targetRef, verbose) {
-  if (typeof attackerRef !== "string" || typeof targetRef !== "string")
-    return false;
-  if (attackerRef.length !== 3 || targetRef.length !== 3) return false;
+function matchesXrays(chess, attackerRef, targetRef, throughRef) {
+  const through = throughRef === undefined ? null : parsePieceSet(throughRef);
+  if (throughRef !== undefined && !through) return false;
 
-  const attackerChar = attackerRef[0];
-  const attackerSquare = attackerRef.slice(1);
+  for (const { square: from } of findRef(chess, attackerRef)) {
+    for (const { square: to } of findRef(chess, targetRef)) {
+      const line = sliderLine(chess, from, to);
+      if (!line || line.blockers.length !== 1) continue;
+      const mid = line.blockers[0];
+      if (!through || pieceSetMatches(through, mid, chess.get(mid))) return true;
+    }
+  }
+  return false;
+}
 
-  const targetChar = targetRef[0];
-  const targetSquare = targetRef.slice(1);
+/**
+ * pinnerRef attacks pinnedRef (an enemy piece), and the first piece behind
+ * it on the same line is one of pinnedRef's own pieces matching toRef
+ * (default: its king, i.e. an absolute pin).
+ */
+function matchesPins(chess, pinnerRef, pinnedRef, toRef) {
+  for (const { square: from, piece: pinner } of findRef(chess, pinnerRef)) {
+    for (const { square: mid, piece: pinned } of findRef(chess, pinnedRef)) {
+      if (pinned.color === pinner.color) continue;
+      const line = sliderLine(chess, from, mid);
+      if (!line || line.blockers.length !== 0) continue;
 
-  const attacker = chess.get(attackerSquare);
-  const target = chess.get(targetSquare);
+      const behind = firstPieceBeyond(chess, from, mid);
+      if (!behind || behind.piece.color !== pinned.color) continue;
 
-  if (!attacker || !target) return false;
+      const to = toRef === undefined ? { pieces: [pinned.color === "w" ? "K" : "k"], squares: null } : parsePieceSet(toRef);
+      if (to && pieceSetMatches(to, behind.square, behind.piece)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * attackerRef attacks the enemy king.
+ */
+function matchesChecks(chess, attackerRef) {
+  for (const { square: from, piece } of findRef(chess, attackerRef)) {
+    const king = kingSquare(chess, piece.color === "w" ? "b" : "w");
+    if (king && pieceAttacks(chess, from, king)) return true;
+  }
+  return false;
+}
 
-  // Validate that the refs match the board
-  const attackerColor = isUpper(attackerChar) ? "w" : "b";
-  const targetColor = isUpper(targetChar) ? "w" : "b";
+/* ---------------- pseudo-legal attacks ---------------- */
 
-  if (attacker.type !== attackerChar.toLowerCase() || attacker.color !== attackerColor)
-    return false;
+/**
+ * Does the piece standing on `from` attack square `to`? Pseudo-legal:
+ * sliders stop at the first piece, nothing else about the position matters.
+ */
+function pieceAttacks(chess, from, to) {
+  const piece = chess.get(from);
+  if (!piece || !emptyBoardAttacks(piece.type, piece.color, from, to)) return false;
+  if (piece.type === "p" || piece.type === "n" || piece.type === "k") return true;
+  return sliderLine(chess, from, to).blockers.length === 0;
+}
 
-  if (target.type !== targetChar.toLowerCase() || target.color !== targetColor)
-    return false;
+/**
+ * For a bishop/rook/queen on `from` whose empty-board line reaches `to`,
+ * the occupied squares strictly between them. null if there is no slider on
+ * `from` or it does not move along that line.
+ */
+function sliderLine(chess, from, to) {
+  const piece = chess.get(from);
+  if (!piece || !"brq".includes(piece.type)) return null;
+  if (!emptyBoardAttacks(piece.type, piece.color, from, to)) return null;
+
+  const blockers = [];
+  for (const sq of squaresBetween(from, to)) if (chess.get(sq)) blockers.push(sq);
+  return { blockers };
+}
+
+/**
+ * First piece on the ray from `from` through `to`, strictly beyond `to`.
+ */
+function firstPieceBeyond(chess, from, to) {
+  const a = squareIndex(from);
+  const b = squareIndex(to);
+  const df = Math.sign((b % 8) - (a % 8));
+  const dr = Math.sign(Math.floor(b / 8) - Math.floor(a / 8));
+
+  let f = (b % 8) + df;
+  let r = Math.floor(b / 8) + dr;
+  while (f >= 0 && f < 8 && r >= 0 && r < 8) {
+    const square = ALL_SQUARES[r * 8 + f];
+    const piece = chess.get(square);
+    if (piece) return { square, piece };
+    f += df;
+    r += dr;
+  }
+  return null;
+}
 
-  // Flip "side to move" to the attacker, so chess.js will generate moves
-  // for that color regardless of whose turn it is in the original FEN.
-  const fenParts = chess.fen().split(" ");
-  fenParts[1] = attackerColor;
-  const chessTurned = new Chess(fenParts.join(" "));
+/**
+ * Squares strictly between two squares on a common rank, file or diagonal.
+ */
+function squaresBetween(from, to) {
+  return toSquares(betweenMask(from, to));
+}
 
-  const moves = chessTurned.moves({
-    square: attackerSquare,
-    verbose: true,
+function kingSquare(chess, color) {
+  return ALL_SQUARES.find((sq) => {
+    const p = chess.get(sq);
+    return p && p.type === "k" && p.color === color;
   });
+}
+
+/**
+ * attackerRef like "Ne5", targetRefs like ["pf7", "pd7"]
+ *
+ * Pure geometry: the attacker must stand on its square, but the targets are
+ * only squares. The attacker's piece type must hit every target (any one
+ * square of a target's square set), or at least `min` of them. Sliders see
+ * an empty board unless `blocking`, when the position's pieces stop them.
+ * Target letters document intent and are not checked against the board.
+ */
+function matchesGeometry(chess, attackerRef, targetRefs, verbose, { min, blocking = false } = {}) {
+  if (!Array.isArray(targetRefs) || targetRefs.length === 0) return false;
 
-  const ok = moves.some((m) => m.to === targetSquare && !!m.captured);
+  const targets = targetRefs.map(parsePieceRef);
+  if (targets.some((t) => !t)) return false;
 
-  // Optional deeper debug when verbose:
-  if (verbose && !ok) {
-    const tos = moves.map((m) => (m.captured ? `${m.to}x${m.captured}` : m.to));
-    console.log(
-      `    (debug) from ${attackerRef} legal targets:`,
-      tos.length ? tos.join(" ") : "(none)"
-    );
+  const occupancy = blocking ? occupancyFromBoard(chess.board()) : 0n;
+
+  for (const { square: from, piece } of findRef(chess, attackerRef)) {
+    const letter = piece.color === "w" ? piece.type.toUpperCase() : piece.type;
+    const forks = forkSquares(letter, targets.map((t) => t.squares), occupancy, { min });
+
+    if (verbose) {
+      const layers = [
+        ...targets.map((t, i) => ({ mask: squaresMask(t.squares), label: `target ${targetRefs[i]}`, glyph: "o", color: "R" })),
+        { mask: forks, label: `${letter} hits ${min ?? targets.length} of ${targets.length} targets`, glyph: "*", color: "G" },
+      ];
+      console.log(renderLayers(layers, { fen: chess.fen(), label: "    (debug) geometry" }));
+      console.log(`    (debug) ${layersToCsl(layers)}`);
+    }
+
+    if (has(forks, from)) return true;
   }
 
-  return ok;
+  return false;
+}
+
+/**
+ * Does a piece of this type/color on `from` hit `to` on an empty board?
+ */
+function emptyBoardAttacks(type, color, from, to) {
+  if (squareIndex(from) < 0 || squareIndex(to) < 0) return false;
+  return has(attacksFrom(type, color, from), to);
+}
+
+/**
+ * Apply (or, with apply=false, only probe) a SAN move on the working
+ * position. Returns the chess.js move if it is legal here, else null.
+ * Illegal moves are never applied, and a probe always leaves the position
+ * untouched.
+ */
+function tryMove(chess, san, apply = true) {
+  if (typeof san !== "string" || !san) return null;
+
+  let mv = null;
+  try {
+    mv = chess.move(san);
+  } catch {
+    mv = null; // chess.js >= 1.0 throws on illegal SAN
+  }
+  if (!mv) return null;
+
+  if (!apply) chess.undo();
+  return mv;
+}
+
+/**
+ * Squares named by a list of piece refs ("Ng5" -> "g5",
+ * "N[d3,e2]" -> "d3", "e2"), deduplicated.
+ */
+function refSquares(refs) {
+  const out = [];
+  for (const ref of refs) {
+    for (const sq of parsePieceRef(ref)?.squares ?? []) {
+      if (!out.includes(sq)) out.push(sq);
+    }
+  }
+  return out;
+}
+
+/**
+ * Refs ("Ng5", "ph7") for whatever actually stands on the given squares.
+ */
+function piecesOn(chess, squares) {
+  const out = [];
+  for (const sq of squares) {
+    const p = chess.get(sq);
+    if (!p) continue;
+    out.push((p.color === "w" ? p.type.toUpperCase() : p.type) + sq);
+  }
+  return out;
+}
+
+function squareIndex(sq) {
+  if (typeof sq !== "string" || !/^[a-h][1-8]$/.test(sq)) return -1;
+  return (sq.charCodeAt(1) - 49) * 8 + (sq.charCodeAt(0) - 97);
 }
 
 function isUpper(ch) {
@@ -1,5 +1,11 @@
 // chess_query.zero.test.js
-import { countMatchedPreconditions } from "./chess_query.js";
+import { readFileSync } from "node:fs";
+import {
+  countMatchedPreconditions,
+  evaluateQuery,
+  searchDatabase,
+  validateQuery,
+} from "./chess_query.js";
 
 /* ---------------- minimal zero-dep test harness ---------------- */
 
@@ -21,9 +27,10 @@ function runTest({ name, fen, query, expected }) {
     true,
     `❌ ${name} (result must be integer)`
   );
-  if (got < 0 || got > (query.predicates?.length ?? 0)) {
+  const { total } = evaluateQuery(fen, query);
+  if (got < 0 || got > total) {
     throw new Error(
-      `❌ ${name} (result out of range)\n  got: ${got}\n  range: 0..${query.predicates?.length ?? 0}`
+      `❌ ${name} (result out of range)\n  got: ${got}\n  range: 0..${total}`
     );
   }
 
@@ -57,8 +64,674 @@ const tests = [
     query: greekGiftQuery,
     expected: 2,
   },
+  {
+    name: "move sequence: Bxh7+ Kxh7 Ng5+ then Ng5 attacks kh7",
+    fen: "rnbq1rk1/pppn1ppp/4p3/3pP3/3P4/3B1N2/PPP2PPP/RNBQK2R w KQ - 0 1",
+    query: {
+      predicates: [
+        { op: "move", san: "Bxh7+" },
+        { op: "move", san: "Kxh7" },
+        { op: "move", san: "Ng5+" },
+        { op: "at", piece: { ref: "kh7" } },
+        { op: "attacks", attacker: { ref: "Ng5" }, target: { ref: "kh7" } },
+      ],
+    },
+    expected: 5,
+  },
+  {
+    name: "move assert=false: illegal SAN matches and is not applied",
+    fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+    query: {
+      predicates: [
+        { op: "move", san: "e5", assert: false },
+        { op: "at", piece: { ref: "Pe2" } },
+      ],
+    },
+    expected: 2,
+  },
+  {
+    name: "move assert=false: legal SAN fails but is still not applied",
+    fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+    query: {
+      predicates: [
+        { op: "move", san: "e4", assert: false },
+        { op: "at", piece: { ref: "Pe2" } },
+      ],
+    },
+    expected: 1,
+  },
+  {
+    name: "move assert=true: illegal SAN fails and later moves still apply",
+    fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+    query: {
+      predicates: [
+        { op: "move", san: "e5" },
+        { op: "move", san: "e4" },
+        { op: "at", piece: { ref: "Pe4" } },
+      ],
+    },
+    expected: 2,
+  },
+  {
+    name: "query.fen is used when no fen argument is given",
+    fen: undefined,
+    query: {
+      fen: "4k3/3pp3/8/4N3/8/8/8/4K3 w - - 0 1",
+      predicates: [{ op: "at", piece: { ref: "Ne5" } }],
+    },
+    expected: 1,
+  },
+  {
+    name: "geometry: Ne5 forks f7 and d7",
+    fen: "4k3/3pp3/8/4N3/8/8/8/4K3 w - - 0 1",
+    query: {
+      predicates: [
+        {
+          op: "geometry",
+          attacker: { ref: "Ne5" },
+          targets: [{ ref: "pf7" }, { ref: "pd7" }],
+        },
+      ],
+    },
+    expected: 1,
+  },
+  {
+    name: "geometry: Ne5 does not hit e8, and a missing attacker never matches",
+    fen: "4k3/3pp3/8/4N3/8/8/8/4K3 w - - 0 1",
+    query: {
+      predicates: [
+        {
+          op: "geometry",
+          attacker: { ref: "Ne5" },
+          targets: [{ ref: "pf7" }, { ref: "ke8" }],
+        },
+        {
+          op: "geometry",
+          attacker: { ref: "Nd5" },
+          targets: [{ ref: "pf6" }, { ref: "pb6" }],
+        },
+        {
+          op: "geometry",
+          attacker: { ref: "Ne5" },
+          targets: [{ ref: "pf7" }, { ref: "ke8" }],
+          assert: false,
+        },
+      ],
+    },
+    expected: 1,
+  },
+  {
+    name: "geometry: sliders use empty-board lines",
+    fen: "6k1/8/8/8/8/8/8/Q3K3 w - - 0 1",
+    query: {
+      predicates: [
+        {
+          op: "geometry",
+          attacker: { ref: "Qa1" },
+          targets: [{ ref: "kh8" }, { ref: "ka8" }],
+        },
+      ],
+    },
+    expected: 1,
+  },
+  {
+    name: "geometry: k-of-n targets and board-aware blocking",
+    fen: "6k1/8/8/4N3/3P4/8/8/Q3K3 w - - 0 1",
+    query: {
+      predicates: [
+        { op: "geometry", attacker: { ref: "Ne5" }, targets: [{ ref: "pf7" }, { ref: "pd7" }, { ref: "pb4" }], min: 2 },
+        { op: "geometry", attacker: { ref: "Ne5" }, targets: [{ ref: "pf7" }, { ref: "pd7" }, { ref: "pb4" }], min: 3 },
+        { op: "geometry", attacker: { ref: "Qa1" }, targets: [{ ref: "kh8" }, { ref: "ra8" }] },
+        { op: "geometry", attacker: { ref: "Qa1" }, targets: [{ ref: "kh8" }, { ref: "ra8" }], blocking: true },
+        { op: "geometry", attacker: { ref: "Qa1" }, targets: [{ ref: "kh8" }, { ref: "ra8" }], blocking: true, min: 1 },
+        { op: "geometry", attacker: { ref: "Qa1" }, targets: [{ ref: "k[g7,h8]" }], blocking: true },
+      ],
+    },
+    expected: 3,
+  },
+  {
+    name: "designators: A/X match any White piece, a/x any Black piece",
+    fen: "4k3/8/4n3/8/3P4/8/8/4K3 b - - 0 1",
+    query: {
+      predicates: [
+        { op: "at", piece: { ref: "Ad4" } },
+        { op: "at", piece: { ref: "Xd4" } },
+        { op: "at", piece: { ref: "ae6" } },
+        { op: "at", piece: { ref: "xe6" } },
+        { op: "at", piece: { ref: "ad4" }, assert: false },
+        { op: "at", piece: { ref: "Ae6" }, assert: false },
+        { op: "at", piece: { ref: "Ad5" }, assert: false },
+        { op: "attacks", attacker: { ref: "xe6" }, target: { ref: "Ad4" } },
+      ],
+    },
+    expected: 8,
+  },
+  {
+    name: "designators: piece sets and square sets",
+    fen: "r1bqkbnr/pppppppp/2n5/8/8/3B1N2/PPPPPPPP/RNBQK2R b KQkq - 0 1",
+    query: {
+      predicates: [
+        { op: "at", piece: { ref: "[NB]d3" } },
+        { op: "at", piece: { ref: "[NB]f3" } },
+        { op: "at", piece: { ref: "N[d3,e2]" } },
+        { op: "at", piece: { ref: "[RQ][d3,e2,f3]" } },
+        { op: "attacks", attacker: { ref: "[NB][d3,f3]" }, target: { ref: "p[h7,e5]" } },
+        {
+          op: "geometry",
+          attacker: { ref: "N[f3,d3]" },
+          targets: [{ ref: "x[g5,h4]" }, { ref: "xe5" }],
+        },
+      ],
+    },
+    expected: 4,
+  },
+  {
+    name: "groups: or / anyOf / not",
+    fen: "r1bq1rk1/pppp1ppp/2n2n2/4p3/4P3/2PB1N2/PP1P1PPP/RNBQ1RK1 w - - 0 1",
+    query: {
+      predicates: [
+        {
+          op: "or",
+          predicates: [
+            { op: "at", piece: { ref: "Pe3" } },
+            { op: "at", piece: { ref: "Pc3" } },
+          ],
+        },
+        {
+          op: "anyOf",
+          min: 2,
+          predicates: [
+            { op: "at", piece: { ref: "pf7" } },
+            { op: "at", piece: { ref: "pg7" } },
+            { op: "at", piece: { ref: "ph6" } },
+          ],
+        },
+        {
+          op: "anyOf",
+          min: 3,
+          predicates: [
+            { op: "at", piece: { ref: "pf7" } },
+            { op: "at", piece: { ref: "pg7" } },
+            { op: "at", piece: { ref: "ph6" } },
+          ],
+        },
+        { op: "not", predicate: { op: "at", piece: { ref: "Qh5" } } },
+        { op: "not", predicate: { op: "at", piece: { ref: "Qd1" } } },
+      ],
+    },
+    expected: 3,
+  },
+  {
+    name: "groups: and scores each conjunct, negated and scores once",
+    fen: "r1bq1rk1/pppp1ppp/2n2n2/4p3/4P3/2PB1N2/PP1P1PPP/RNBQ1RK1 w - - 0 1",
+    query: {
+      predicates: [
+        {
+          op: "and",
+          predicates: [
+            { op: "at", piece: { ref: "pf7" } },
+            { op: "at", piece: { ref: "pg7" } },
+            { op: "at", piece: { ref: "ph7" } },
+            { op: "at", piece: { ref: "kh8" } },
+          ],
+        },
+        {
+          op: "and",
+          assert: false,
+          predicates: [
+            { op: "at", piece: { ref: "Bd3" } },
+            { op: "at", piece: { ref: "Ng5" } },
+          ],
+        },
+      ],
+    },
+    expected: 4,
+  },
+  {
+    name: "groups: and moves persist, or/not moves stay on a scratch board",
+    fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+    query: {
+      predicates: [
+        {
+          op: "or",
+          predicates: [
+            { op: "move", san: "e4" },
+            { op: "move", san: "d4" },
+          ],
+        },
+        { op: "at", piece: { ref: "Pe2" } },
+        { op: "not", predicate: { op: "move", san: "Nf3" } },
+        { op: "at", piece: { ref: "Ng1" } },
+        {
+          op: "and",
+          predicates: [
+            { op: "move", san: "e4" },
+            { op: "move", san: "e5" },
+          ],
+        },
+        { op: "at", piece: { ref: "pe5" } },
+      ],
+    },
+    expected: 6,
+  },
+  {
+    name: "compare: attackers, defenders, power, count and mobility",
+    // Greek Gift setup: Bd3 eyes h7, Nf6 and the king defend it.
+    fen: "r1bq1rk1/pppp1ppp/2n2n2/2b1p3/8/3BPN2/PPPP1PPP/RNBQ1RK1 w - - 0 1",
+    query: {
+      predicates: [
+        // #(a attacks g5) == 0: the f6 knight blocks the queen's diagonal.
+        { op: "compare", left: { fn: "attackers", square: "g5", pieces: "a" }, cmp: "==", right: 0 },
+        // h7 is defended by the king and the f6 knight.
+        { op: "compare", left: { fn: "defenders", square: "h7" }, cmp: "==", right: 2 },
+        { op: "compare", left: { fn: "defenders", square: "h7", pieces: "[nbrq]" }, cmp: "==", right: 1 },
+        { op: "compare", left: { fn: "attackers", square: "h7", pieces: "A" }, cmp: ">=", right: 1 },
+        // power A <= power a + 1 (equal material)
+        { op: "compare", left: { fn: "power", pieces: "A" }, cmp: "<=", right: { fn: "power", pieces: "a", plus: 1 } },
+        { op: "compare", left: { fn: "power", pieces: "A" }, cmp: "==", right: 39 },
+        { op: "compare", left: { fn: "count", pieces: "[NB]" }, cmp: "==", right: 4 },
+        { op: "compare", left: { fn: "count", pieces: "P[e3,d4]" }, cmp: "==", right: 1 },
+        // (move legal from Nf3 count): d4 g5 h4 xe5 e1
+        { op: "compare", left: { fn: "mobility", pieces: "Nf3" }, cmp: "==", right: 5 },
+        { op: "compare", left: { fn: "mobility", pieces: "n" }, cmp: ">", right: 8 },
+        { op: "compare", left: { fn: "count", pieces: "Q" }, cmp: "!=", right: 1 },
+      ],
+    },
+    expected: 10,
+  },
+  {
+    name: "attack semantics: pinned pieces still attack; defends, xrays, pins, checks",
+    // Bb5 pins nd7 to ke8, Nf6 gives check, Rh1 x-rays Qa1 through Ke1.
+    fen: "4k3/3n4/5N2/1B2P3/8/8/8/Q3K2R b K - 0 1",
+    query: {
+      predicates: [
+        { op: "attacks", attacker: { ref: "nd7" }, target: { ref: "Pe5" } },
+        { op: "attacks", attacker: { ref: "nd7" }, target: { ref: "Nf6" } },
+        { op: "attacks", attacker: { ref: "Rh1" }, target: { ref: "Ke1" } },
+        { op: "defends", defender: { ref: "Rh1" }, target: { ref: "Ke1" } },
+        { op: "defends", defender: { ref: "nd7" }, target: { ref: "Pe5" }, assert: false },
+        { op: "xrays", attacker: { ref: "Rh1" }, target: { ref: "Qa1" } },
+        { op: "xrays", attacker: { ref: "Rh1" }, target: { ref: "Qa1" }, through: "K" },
+        { op: "xrays", attacker: { ref: "Rh1" }, target: { ref: "Qa1" }, through: "a", assert: false },
+        { op: "xrays", attacker: { ref: "Bb5" }, target: { ref: "ke8" } },
+        { op: "pins", pinner: { ref: "Bb5" }, pinned: { ref: "nd7" } },
+        { op: "pins", pinner: { ref: "Bb5" }, pinned: { ref: "nd7" }, to: "[rq]", assert: false },
+        { op: "pins", pinner: { ref: "Rh1" }, pinned: { ref: "Ke1" }, assert: false },
+        { op: "checks", attacker: { ref: "Nf6" } },
+        { op: "checks", attacker: { ref: "Bb5" }, assert: false },
+        { op: "compare", left: { fn: "attackers", square: "e5", pieces: "a" }, cmp: "==", right: 1 },
+        { op: "compare", left: { fn: "defenders", square: "e1" }, cmp: "==", right: 2 },
+      ],
+    },
+    expected: 16,
+  },
+  {
+    name: "pawn structure: weak squares and outposts",
+    // d4: no black c/e pawn can come down to hit it, Pc3 holds it.
+    // e5: pd6 hits it, so it is no White outpost. Pb2 can still hit c4 from b3.
+    fen: "4k3/pp3ppp/3p4/8/3P4/2P1N3/PP3PPP/4K3 w - - 0 1",
+    query: {
+      predicates: [
+        { op: "weak", square: "d4", color: "b" },
+        { op: "outpost", square: "d4", color: "w" },
+        { op: "weak", square: "e5", color: "b", assert: false },
+        { op: "outpost", square: "e5", color: "w", assert: false },
+        { op: "weak", square: "c4", color: "w", assert: false },
+        { op: "outpost", square: "d3", color: "w", assert: false },
+        { op: "move", san: "Nf5" },
+        { op: "outpost", square: "d4", color: "w" },
+      ],
+    },
+    expected: 8,
+  },
+  {
+    name: "static exchange: winsMaterialOn, x-rays and the king",
+    // e5: Nd3xe5 Nd7xe5 loses the knight for a pawn, and Re2 / Qe1 cannot
+    // follow up through Bf6 and the x-raying Qh8. Bxb7 runs into Kxb7.
+    fen: "1k1r3q/1ppn3p/p4b2/4p3/8/P2N2P1/1PP1R1BP/2K1Q3 w - - 0 1",
+    query: {
+      predicates: [
+        { op: "winsMaterialOn", square: "e5", color: "w", assert: false },
+        { op: "winsMaterialOn", square: "b7", color: "w", assert: false },
+        { op: "move", san: "Nxe5" },
+        { op: "winsMaterialOn", square: "e5", color: "b", min: 3 },
+      ],
+    },
+    expected: 4,
+  },
+  {
+    name: "static exchange: a pawn takes a defended knight, the queen adds a point",
+    fen: "4k3/8/2p5/3n4/4P3/8/8/Q3K3 w - - 0 1",
+    query: {
+      predicates: [
+        { op: "winsMaterialOn", square: "d5", color: "w", min: 2 },
+        { op: "winsMaterialOn", square: "d5", color: "w", min: 3, assert: false },
+        { op: "move", san: "Qd4" },
+        { op: "winsMaterialOn", square: "d5", color: "w", min: 3 },
+      ],
+    },
+    expected: 4,
+  },
+];
+
+/* ---------------- universalquery_tests.json corpus ---------------- */
+
+// Every corpus query is written to match in full (total counts "and"
+// conjuncts individually), except known schema conflicts: fixtures kept
+// as first written, with the count they match under the schema in
+// "matched" and the reason in "knownConflict".
+const corpus = JSON.parse(
+  readFileSync(new URL("./universalquery_tests.json", import.meta.url), "utf8")
+);
+
+for (const t of corpus.tests) {
+  tests.push({
+    name: `corpus ${t.name}`,
+    fen: t.query.fen,
+    query: t.query,
+    expected: t.matched ?? evaluateQuery(t.query.fen, t.query).total,
+  });
+}
+
+/* ---------------- evaluateQuery records ---------------- */
+
+function runRecordTest({ name, fen, query, check }) {
+  const res = evaluateQuery(fen, query);
+
+  assertEqual(res.records.length, query.predicates.length, `❌ ${name} (one record per predicate)`);
+  assertEqual(
+    res.matched,
+    res.records.reduce((n, r) => n + r.score, 0),
+    `❌ ${name} (matched agrees with records)`
+  );
+  assertEqual(
+    res.matched,
+    countMatchedPreconditions(fen, query),
+    `❌ ${name} (matched agrees with countMatchedPreconditions)`
+  );
+  check(res, name);
+
+  console.log(`✅ ${name}`);
+}
+
+const recordTests = [
+  {
+    name: "records: failing attack reports squares and pieces",
+    fen: "r1bqkbnr/pppppppp/2n5/8/8/3B1N2/PPPPPPPP/RNBQK2R b KQkq - 0 1",
+    query: greekGiftQuery,
+    check(res, name) {
+      const r = res.records[2];
+      assertEqual(r.index, 2, `❌ ${name} (index)`);
+      assertEqual(r.op, "attacks", `❌ ${name} (op)`);
+      assertEqual(r.final, false, `❌ ${name} (final)`);
+      assertEqual(r.detail, "attacks Ng5 -> ph7", `❌ ${name} (detail)`);
+      assertEqual(r.squares.join(","), "g5,h7", `❌ ${name} (squares)`);
+      assertEqual(r.pieces.join(","), "ph7", `❌ ${name} (pieces)`);
+      assertEqual(res.records[0].pieces.join(","), "Bd3", `❌ ${name} (pieces of at)`);
+    },
+  },
+  {
+    name: "records: fen is the position before each predicate",
+    fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+    query: {
+      predicates: [
+        { op: "move", san: "e4" },
+        { op: "move", san: "d4", assert: false },
+        { op: "at", piece: { ref: "Pe4" } },
+      ],
+    },
+    check(res, name) {
+      const [m1, m2, at] = res.records;
+      assertEqual(m1.fen, res.fen, `❌ ${name} (first record starts at the start)`);
+      assertEqual(m1.squares.join(","), "e2,e4", `❌ ${name} (move squares)`);
+      assertEqual(m1.pieces.join(","), "Pe2", `❌ ${name} (move pieces)`);
+      assertEqual(m2.raw, false, `❌ ${name} (d4 is illegal for Black)`);
+      assertEqual(m2.final, true, `❌ ${name} (assert=false match)`);
+      assertEqual(at.fen, res.finalFen, `❌ ${name} (probe did not move)`);
+      assertEqual(res.matched, 3, `❌ ${name} (matched)`);
+    },
+  },
 ];
 
+recordTests.push({
+  name: "records: groups carry children, paths, score and weight",
+  fen: "r1bq1rk1/pppp1ppp/2n2n2/4p3/4P3/2PB1N2/PP1P1PPP/RNBQ1RK1 w - - 0 1",
+  query: {
+    predicates: [
+      { op: "at", piece: { ref: "Bd3" } },
+      {
+        op: "and",
+        predicates: [
+          { op: "at", piece: { ref: "ph7" } },
+          {
+            op: "or",
+            predicates: [
+              { op: "at", piece: { ref: "kg8" } },
+              { op: "at", piece: { ref: "kh8" } },
+            ],
+          },
+          { op: "at", piece: { ref: "Ng5" } },
+        ],
+      },
+    ],
+  },
+  check(res, name) {
+    const and = res.records[1];
+    assertEqual(res.total, 4, `❌ ${name} (total)`);
+    assertEqual(res.matched, 3, `❌ ${name} (matched)`);
+    assertEqual(and.final, false, `❌ ${name} (and final)`);
+    assertEqual(and.score, 2, `❌ ${name} (and score)`);
+    assertEqual(and.weight, 3, `❌ ${name} (and weight)`);
+    const or = and.children[1];
+    assertEqual(or.path, "predicates[1].predicates[1]", `❌ ${name} (or path)`);
+    assertEqual(or.children[0].path, "predicates[1].predicates[1].predicates[0]", `❌ ${name} (leaf path)`);
+    assertEqual(or.final, true, `❌ ${name} (or final)`);
+    assertEqual(or.squares.join(","), "g8,h8", `❌ ${name} (or squares)`);
+    assertEqual(or.pieces.join(","), "kg8", `❌ ${name} (or pieces)`);
+  },
+});
+
+/* ---------------- searchDatabase ---------------- */
+
+const twoGames = `[Event "Greek Gift"]
+[White "A"]
+[Black "B"]
+[Result "1-0"]
+
+1. e4 e6 2. d4 d5 3. Nc3 Nf6 4. e5 Nfd7 5. Nf3 Be7 6. Bd3 O-O 7. Bxh7+ Kxh7 8. Ng5+ 1-0
+
+[Event "Quiet"]
+[White "C"]
+[Black "D"]
+[Result "*"]
+
+1. d4 d5 2. c4 { a comment to keep } e6 *
+
+[Event "Broken"]
+[Result "*"]
+
+1. e4 e5 2. Ke3 Kxe1 *
+`;
+
+const sacQuery = {
+  name: "GG",
+  predicates: [
+    { op: "at", piece: { ref: "Bd3" } },
+    { op: "at", piece: { ref: "Nf3" } },
+    { op: "at", piece: { ref: "kg8" } },
+    { op: "move", san: "Bxh7+" },
+  ],
+};
+
+function runSearchTest({ name, run }) {
+  run(name);
+  console.log(`✅ ${name}`);
+}
+
+const searchTests = [
+  {
+    name: "searchDatabase: full matches only by default",
+    run(name) {
+      const res = searchDatabase(twoGames, sacQuery);
+      assertEqual(res.games, 3, `❌ ${name} (games)`);
+      assertEqual(res.total, 4, `❌ ${name} (total)`);
+      assertEqual(res.errors.length, 1, `❌ ${name} (broken game reported)`);
+      assertEqual(res.errors[0].game, 2, `❌ ${name} (broken game index)`);
+      // After 6...O-O White to move: Bd3, Nf3, kg8 and Bxh7+ is legal.
+      assertEqual(res.matches.length, 1, `❌ ${name} (one matching ply)`);
+      const m = res.matches[0];
+      assertEqual(m.game, 0, `❌ ${name} (game)`);
+      assertEqual(m.ply, 12, `❌ ${name} (ply)`);
+      assertEqual(m.san, "O-O", `❌ ${name} (san)`);
+      assertEqual(m.headers.White, "A", `❌ ${name} (headers)`);
+      assertEqual(res.pgn.includes("O-O {GG: 4/4"), true, `❌ ${name} (annotated pgn)`);
+      assertEqual(res.pgn.includes("Quiet"), false, `❌ ${name} (non-matching games left out)`);
+    },
+  },
+  {
+    name: "searchDatabase: minScore collects near misses and keeps comments",
+    run(name) {
+      const res = searchDatabase(twoGames, sacQuery, { minScore: 2, label: "near" });
+      const plies = res.matches.filter((m) => m.game === 0).map((m) => m.ply);
+      assertEqual(plies.join(","), "11,12,13", `❌ ${name} (plies of game 0)`);
+      assertEqual(res.matches[0].matched, 2, `❌ ${name} (score)`);
+      assertEqual(
+        res.pgn.includes("missing: at kg8"),
+        true,
+        `❌ ${name} (missing precondition listed)`
+      );
+      assertEqual(res.pgn.includes("[%csl "), true, `❌ ${name} (squares drawn)`);
+
+      const none = searchDatabase(twoGames, sacQuery, { minScore: 0 });
+      assertEqual(none.pgn.includes("a comment to keep"), true, `❌ ${name} (existing comment kept)`);
+    },
+  },
+];
+
+/* ---------------- validateQuery ---------------- */
+
+function runValidationTest({ name, query, errors }) {
+  const res = validateQuery(query);
+  assertEqual(res.valid, errors.length === 0, `❌ ${name} (valid)`);
+  assertEqual(res.errors.join("\n"), errors.join("\n"), `❌ ${name} (errors)`);
+  console.log(`✅ ${name}`);
+}
+
+const validationTests = [
+  {
+    name: "validate: malformed refs name the exact spot",
+    query: {
+      predicates: [
+        { op: "at", piece: { ref: "Bd3" } },
+        { op: "at", piece: { ref: "Bd" } },
+        { op: "attacks", attacker: { ref: "Nz9" }, target: { ref: "Zh7" } },
+        { op: "geometry", attacker: { ref: "N[d3,e9]" }, targets: [{ ref: "pf7" }, "d7"] },
+      ],
+    },
+    errors: [
+      "predicates[1].piece.ref: 'Bd' is not a square",
+      "predicates[2].attacker.ref: 'Nz9' is not a square",
+      "predicates[2].target.ref: 'Zh7' does not start with a piece designator (PNBRQK, pnbrqk, A/a, X/x or a [set])",
+      "predicates[3].attacker.ref: 'N[d3,e9]' is not a square",
+      "predicates[3].targets[1]: expected {\"ref\": ...}, got 'd7'",
+    ],
+  },
+  {
+    name: "validate: unknown ops and properties, missing fields, bad fen",
+    query: {
+      fen: "not a fen",
+      extra: 1,
+      predicates: [
+        { op: "attack", attacker: { ref: "Ng5" } },
+        { op: "at", piece: { ref: "Bd3" }, assert: "yes", note: "x" },
+        { op: "move" },
+        { piece: { ref: "Bd3" } },
+      ],
+    },
+    errors: [
+      "extra: unknown property",
+      "fen: 'not a fen' is not a valid FEN (Invalid FEN: must contain six space-delimited fields)",
+      "predicates[0].op: unknown op 'attack' (expected one of at, attacks, defends, xrays, pins, checks, geometry, weak, outpost, winsMaterialOn, move, compare, and, or, anyOf, not)",
+      "predicates[1].note: unknown property",
+      "predicates[1].assert: expected a boolean, got 'yes'",
+      "predicates[2].san: missing required property",
+      "predicates[3].op: missing required property",
+    ],
+  },
+  {
+    name: "validate: groups and count expressions",
+    query: {
+      predicates: [
+        {
+          op: "anyOf",
+          min: 3,
+          predicates: [
+            { op: "at", piece: { ref: "Pc3" } },
+            { op: "not", predicate: { op: "at", piece: { ref: "Pe9" } } },
+          ],
+        },
+        { op: "or", predicates: [] },
+        {
+          op: "compare",
+          left: { fn: "attackers", square: "g9", pieces: "a" },
+          cmp: "=<",
+          right: { fn: "power", pieces: "[ab", plus: 0.5 },
+        },
+        { op: "compare", left: { fn: "material", pieces: "A" }, cmp: "==", right: "1" },
+        { op: "pins", pinner: { ref: "Bb5" }, pinned: { ref: "nd7" }, to: "kz" },
+        { op: "geometry", attacker: { ref: "Ne5" }, targets: [{ ref: "pf7" }], min: 2, blocking: "yes" },
+        { op: "weak", square: "d9", color: "white" },
+        { op: "outpost", square: "d4" },
+        { op: "winsMaterialOn", square: "e5", color: "b", min: 0 },
+      ],
+    },
+    errors: [
+      "predicates[0].predicates[1].predicate.piece.ref: 'Pe9' is not a square",
+      "predicates[0].min: 3 exceeds the 2 predicates in the group",
+      "predicates[1].predicates: must contain at least one predicate",
+      "predicates[2].left.square: 'g9' is not a square",
+      "predicates[2].right.pieces: '[ab' does not start with a piece designator (PNBRQK, pnbrqk, A/a, X/x or a [set])",
+      "predicates[2].right.plus: expected an integer, got 0.5",
+      "predicates[2].cmp: '=<' is not one of == != < <= > >=",
+      "predicates[3].left.fn: unknown fn 'material' (expected attackers, defenders, power, count or mobility)",
+      "predicates[3].right: expected an integer or a count object, got '1'",
+      "predicates[4].to: 'kz' is not a square",
+      "predicates[5].min: 2 exceeds the 1 targets",
+      "predicates[5].blocking: expected a boolean, got 'yes'",
+      "predicates[6].square: 'd9' is not a square",
+      "predicates[6].color: expected 'w' or 'b', got 'white'",
+      "predicates[7].color: missing required property",
+      "predicates[8].min: expected an integer >= 1, got 0",
+    ],
+  },
+  {
+    name: "validate: every corpus query is valid",
+    query: { predicates: corpus.tests.map((t) => ({ op: "and", predicates: t.query.predicates })) },
+    errors: [],
+  },
+];
+
+function runRefusalTest() {
+  const name = "validate: countMatchedPreconditions refuses, evaluateQuery flags";
+  const bad = { predicates: [{ op: "at", piece: { ref: "Nz9" } }] };
+
+  let thrown = null;
+  try {
+    countMatchedPreconditions(undefined, bad);
+  } catch (e) {
+    thrown = e;
+  }
+  assertEqual(thrown !== null, true, `❌ ${name} (throws)`);
+  assertEqual(thrown.errors[0], "predicates[0].piece.ref: 'Nz9' is not a square", `❌ ${name} (error list)`);
+
+  const res = evaluateQuery(undefined, bad);
+  assertEqual(res.valid, false, `❌ ${name} (valid flag)`);
+  assertEqual(res.errors.length, 1, `❌ ${name} (errors)`);
+  assertEqual(res.records.length, 0, `❌ ${name} (not evaluated)`);
+
+  console.log(`✅ ${name}`);
+}
+
 /* ---------------- runner ---------------- */
 
 console.log("Running chess_query zero-dep tests (verbose enabled)...\n");
@@ -74,8 +747,43 @@ for (const t of tests) {
   }
 }
 
-console.log(`\n${passed}/${tests.length} tests passed`);
+for (const t of recordTests) {
+  try {
+    runRecordTest(t);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+for (const t of searchTests) {
+  try {
+    runSearchTest(t);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+for (const t of validationTests) {
+  try {
+    runValidationTest(t);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+try {
+  runRefusalTest();
+  passed++;
+} catch (err) {
+  console.error(err.message);
+}
+
+const total = tests.length + recordTests.length + searchTests.length + validationTests.length + 1;
+console.log(`\n${passed}/${total} tests passed`);
 
-if (passed !== tests.length) {
+if (passed !== total) {
   process.exit(1);
 }
@@ -0,0 +1,413 @@
+// cql_compiler.js
+import { validateQuery, parsePieceRef, parsePieceSet } from "./chess_query.js";
+import { PAWN_ATTACKS, pawnAttackOrigins, squareToIndex } from "./geometry.js";
+import { toSquares } from "./squareset.js";
+
+/**
+ * Compile a Chess Query v3 document into a CQL program, so a JSON priyome
+ * can be run through runCqlWasm over a whole database.
+ *
+ * The output stays inside research/restrictedcql6.2.ebnf plus its "query
+ * filters" extension (research/restrictedcql6.2-extensions.ebnf); the
+ * baseline grammar alone has no position filters. A query without moves
+ * becomes one compound filter; each "move" predicate starts a new step of
+ * a `line`, written the way the hand-made priyomes write it ("bishop sac
+ * f7.cql"): the mover standing on its destination, plus `check` / `mate`
+ * for a "+" / "#" suffix.
+ *
+ *   { predicates: [at Bd3, move "Bxh7+", at kg8] }
+ *
+ *   cql()
+ *
+ *   line
+ *     --> Bd3
+ *     --> {
+ *       [Bb]h7
+ *       check
+ *       kg8
+ *     }
+ *
+ * The mover's color is only known when options.sideToMove or query.fen
+ * names it; otherwise both colors are allowed ("[Bb]h7") and an
+ * unconstrained first step is written `.`, the any-square set.
+ *
+ * CQL filters are boolean, so the program matches where the JSON query
+ * scores total / total; partial credit has no CQL counterpart.
+ *
+ * Throws if the query is invalid or uses something CQL cannot express
+ * (empty-board "geometry", "move" with assert=false, a move inside an
+ * or / anyOf / not group, a "weak" square no pawn could ever reach, an
+ * "outpost" off ranks 4-7, a static exchange in "winsMaterialOn"). The
+ * error's .errors lists every such spot.
+ *
+ * @param {object} query
+ * @param {object} [options]
+ * @param {"w"|"b"} [options.sideToMove] side to move at the first step
+ * @returns {{cql: string, warnings: string[]}}
+ */
+export function queryToCql(query, options = {}) {
+  const { errors } = validateQuery(query);
+  if (errors.length) throw compileError("Invalid query", errors);
+
+  const ctx = {
+    side: options.sideToMove ?? (query.fen ? query.fen.split(" ")[1] : null),
+    errors: [],
+    warnings: [],
+  };
+  if (query.fen) {
+    ctx.warnings.push("fen: CQL scans game positions; the fen only fixes the side to move");
+  }
+
+  const steps = [[]];
+  if (ctx.side) steps[0].push(ctx.side === "w" ? "wtm" : "btm");
+  compileSequence(query.predicates, "predicates", steps, ctx);
+
+  if (ctx.errors.length) throw compileError("Query cannot be expressed in CQL", ctx.errors);
+
+  const lines = ["cql()", ""];
+  if (query.name) lines.push(`// ${query.name}`);
+  if (steps.length === 1) lines.push(...renderStep(steps[0], ""));
+  else {
+    lines.push("line");
+    for (const step of steps) {
+      const [first, ...rest] = step.length ? renderStep(step, "  ") : ["."];
+      lines.push(`  --> ${first}`, ...rest);
+    }
+  }
+
+  return { cql: lines.join("\n") + "\n", warnings: ctx.warnings };
+}
+
+function compileError(title, errors) {
+  const e = new Error(`${title}:\n  ${errors.join("\n  ")}`);
+  e.errors = errors;
+  return e;
+}
+
+/**
+ * Append predicates to the current step; a move closes it and opens the
+ * next. A positive "and" holding a move is inlined, mirroring how the
+ * evaluator lets its moves carry on to the rest of the query.
+ */
+function compileSequence(predicates, path, steps, ctx) {
+  predicates.forEach((pred, i) => {
+    const where = `${path}[${i}]`;
+
+    if (pred.op === "move") {
+      if (pred.assert === false) {
+        ctx.errors.push(`${where}: a move with assert=false (must be illegal) has no CQL equivalent`);
+        return;
+      }
+      steps.push(moveFilters(pred.san, where, ctx));
+      if (ctx.side) ctx.side = ctx.side === "w" ? "b" : "w";
+      return;
+    }
+
+    if (pred.op === "and" && pred.assert !== false && containsMove(pred)) {
+      compileSequence(pred.predicates, `${where}.predicates`, steps, ctx);
+      return;
+    }
+
+    const filter = compileFilter(pred, where, ctx);
+    const step = steps[steps.length - 1];
+    if (filter && !step.includes(filter)) step.push(filter);
+  });
+}
+
+function containsMove(pred) {
+  if (pred.op === "move") return true;
+  if (pred.op === "not") return containsMove(pred.predicate);
+  return (pred.predicates ?? []).some(containsMove);
+}
+
+/**
+ * A step is a single filter or a compound, one filter per line.
+ */
+function renderStep(filters, indent) {
+  if (filters.length === 1 && indent) return [filters[0]];
+  return ["{", ...filters.map((f) => `${indent}  ${f}`), `${indent}}`];
+}
+
+/* ---------------- moves ---------------- */
+
+const SAN_RE = /^([NBRQK])?[a-h]?[1-8]?x?([a-h][1-8])(?:=([NBRQ]))?([+#])?$/;
+const CASTLE_RE = /^(O-O(?:-O)?)([+#])?$/;
+
+/**
+ * Filters that hold right after `san` was played: the moved (or promoted)
+ * piece on its destination, and the check / mate the suffix claims.
+ */
+function moveFilters(san, where, ctx) {
+  let piece;
+  let square;
+  let suffix;
+
+  const castle = CASTLE_RE.exec(san);
+  const m = castle ? null : SAN_RE.exec(san);
+  if (castle) {
+    piece = "K";
+    square = castle[1] === "O-O" ? ["g1", "g8"] : ["c1", "c8"];
+    suffix = castle[2];
+  } else if (m) {
+    piece = m[3] ?? m[1] ?? "P";
+    square = [m[2]];
+    suffix = m[4];
+  } else {
+    ctx.errors.push(`${where}.san: '${san}' is not a SAN move`);
+    return [];
+  }
+
+  let pieces = [piece, piece.toLowerCase()];
+  if (ctx.side) {
+    pieces = [ctx.side === "w" ? piece : piece.toLowerCase()];
+    if (castle) square = [square[ctx.side === "w" ? 0 : 1]];
+  }
+
+  const filters = [designator(pieces, square)];
+  if (suffix === "+") filters.push("check");
+  if (suffix === "#") filters.push("mate");
+  return filters;
+}
+
+/* ---------------- filters ---------------- */
+
+/**
+ * One predicate as a single-line CQL filter, or null (error recorded).
+ */
+function compileFilter(pred, where, ctx) {
+  const body = compilePositive(pred, where, ctx);
+  if (body === null) return null;
+  return pred.assert === false ? negate(body) : body;
+}
+
+function compilePositive(pred, where, ctx) {
+  switch (pred.op) {
+    case "at":
+      return refToCql(pred.piece.ref);
+
+    case "attacks":
+      return `${refToCql(pred.attacker.ref)} attacks ${refToCql(pred.target.ref)}`;
+
+    case "defends":
+      return defendsFilter(pred.defender.ref, pred.target.ref, where, ctx);
+
+    case "xrays":
+      return `xray (${refToCql(pred.attacker.ref)} ${pred.through ? setToCql(pred.through) : "[Aa]"} ${refToCql(pred.target.ref)})`;
+
+    case "pins":
+      return `pin from ${refToCql(pred.pinner.ref)} through ${refToCql(pred.pinned.ref)}${pred.to ? ` to ${setToCql(pred.to)}` : ""}`;
+
+    case "checks":
+      return checksFilter(pred.attacker.ref);
+
+    case "geometry":
+      ctx.errors.push(`${where}: "geometry" tests an empty board and has no CQL equivalent`);
+      return null;
+
+    case "weak":
+      return weakFilter(pred.square, pred.color, where, ctx);
+
+    case "outpost":
+      return outpostFilter(pred.square, pred.color, where, ctx);
+
+    case "winsMaterialOn":
+      ctx.errors.push(`${where}: "winsMaterialOn" plays out a capture sequence and has no CQL equivalent`);
+      return null;
+
+    case "move":
+      ctx.errors.push(`${where}: a move inside a group has no CQL equivalent (only top-level and "and" moves form a line)`);
+      return null;
+
+    case "compare":
+      return `{ ${countToCql(pred.left, `${where}.left`, ctx)} ${pred.cmp} ${countToCql(pred.right, `${where}.right`, ctx)} }`;
+
+    case "and":
+    case "or":
+    case "anyOf":
+    case "not":
+      return groupFilter(pred, where, ctx);
+  }
+  return null;
+}
+
+function groupFilter(pred, where, ctx) {
+  if (pred.op === "not") {
+    const inner = compileFilter(pred.predicate, `${where}.predicate`, ctx);
+    return inner === null ? null : negate(inner);
+  }
+
+  const kids = pred.predicates.map((p, i) => compileFilter(p, `${where}.predicates[${i}]`, ctx));
+  if (kids.includes(null)) return null;
+
+  if (pred.op === "and") return `{ ${kids.join(" ")} }`;
+
+  const min = pred.op === "anyOf" ? pred.min ?? 1 : 1;
+  if (min === 1) return kids.length === 1 ? kids[0] : `(${kids.join(" or ")})`;
+  if (min === kids.length) return `{ ${kids.join(" ")} }`;
+
+  // "at least k of n" as the disjunction of every k-subset.
+  const subsets = combinations(kids, min);
+  if (subsets.length > MAX_ANYOF_EXPANSION) {
+    ctx.errors.push(`${where}: anyOf ${min} of ${kids.length} expands to ${subsets.length} alternatives (limit ${MAX_ANYOF_EXPANSION})`);
+    return null;
+  }
+  return `(${subsets.map((s) => `{ ${s.join(" ")} }`).join(" or ")})`;
+}
+
+const MAX_ANYOF_EXPANSION = 64;
+
+function combinations(items, k) {
+  if (k === 0) return [[]];
+  const out = [];
+  for (let i = 0; i + k <= items.length; i++) {
+    for (const rest of combinations(items.slice(i + 1), k - 1)) out.push([items[i], ...rest]);
+  }
+  return out;
+}
+
+/**
+ * `not` takes the next filter, so anything but a designator or an already
+ * bracketed filter is braced to keep `not a attacks b` from reading as
+ * `(not a) attacks b`.
+ */
+function negate(filter) {
+  if (filter.startsWith("not ")) return filter.slice(4);
+  if (/^[^\s{(]+$/.test(filter) || /^[{(].*[})]$/.test(filter)) return `not ${filter}`;
+  return `not { ${filter} }`;
+}
+
+/**
+ * "defends" needs the target to be the defender's color: split the
+ * defender set by color and let each half attack only its own pieces.
+ */
+function defendsFilter(defenderRef, targetRef, where, ctx) {
+  const d = parsePieceRef(defenderRef);
+  const t = parsePieceRef(targetRef);
+  const parts = [];
+  for (const white of [true, false]) {
+    const mine = d.pieces.filter((ch) => isWhite(ch) === white);
+    const theirs = t.pieces.filter((ch) => isWhite(ch) === white);
+    if (mine.length && theirs.length) {
+      parts.push(`${designator(mine, d.squares)} attacks ${designator(theirs, t.squares)}`);
+    }
+  }
+  if (!parts.length) {
+    ctx.errors.push(`${where}: '${defenderRef}' and '${targetRef}' share no color, so nothing can defend`);
+    return null;
+  }
+  return parts.length === 1 ? parts[0] : `(${parts.join(" or ")})`;
+}
+
+function checksFilter(attackerRef) {
+  const a = parsePieceRef(attackerRef);
+  const parts = [];
+  for (const white of [true, false]) {
+    const mine = a.pieces.filter((ch) => isWhite(ch) === white);
+    if (mine.length) parts.push(`${designator(mine, a.squares)} attacks ${white ? "k" : "K"}`);
+  }
+  return parts.length === 1 ? parts[0] : `(${parts.join(" or ")})`;
+}
+
+/**
+ * Weak for a color: none of its pawns stands where it could still attack
+ * the square, the way cql/weakd4.cql spells it out (`not p[c5,e5,...]`).
+ */
+function weakFilter(square, color, where, ctx) {
+  const origins = toSquares(pawnAttackOrigins(square, color));
+  if (!origins.length) {
+    ctx.errors.push(`${where}: ${square} is weak for ${colorName(color)} in every position; drop the predicate`);
+    return null;
+  }
+  return `not ${designator([color === "w" ? "P" : "p"], origins)}`;
+}
+
+/**
+ * Outpost: weak for the enemy, on the owner's ranks 4-7, and held by one
+ * of the owner's pawns now.
+ */
+function outpostFilter(square, color, where, ctx) {
+  const rank = color === "w" ? Number(square[1]) : 9 - Number(square[1]);
+  if (rank < 4 || rank > 7) {
+    ctx.errors.push(`${where}: ${square} is never an outpost for ${colorName(color)} (ranks 4-7 only)`);
+    return null;
+  }
+
+  const enemy = color === "w" ? "b" : "w";
+  const guards = designator([color === "w" ? "P" : "p"], toSquares(PAWN_ATTACKS[enemy][squareToIndex(square)]));
+  const origins = toSquares(pawnAttackOrigins(square, enemy));
+  if (!origins.length) return guards;
+  return `{ not ${designator([enemy === "w" ? "P" : "p"], origins)} ${guards} }`;
+}
+
+const colorName = (color) => (color === "w" ? "White" : "Black");
+
+/* ---------------- counts ---------------- */
+
+function countToCql(expr, where, ctx) {
+  if (Number.isInteger(expr)) return String(expr);
+
+  let text;
+  switch (expr.fn) {
+    case "attackers":
+      text = `#(${expr.pieces === undefined ? "[Aa]" : setToCql(expr.pieces)} attacks ${expr.square})`;
+      break;
+
+    case "defenders": {
+      // Pieces of the occupant's color: each color only counts when the
+      // square holds one of its own pieces.
+      const set = expr.pieces === undefined ? { pieces: ["A", "a"], squares: null } : parsePieceSet(expr.pieces);
+      const terms = [];
+      for (const white of [true, false]) {
+        const mine = set.pieces.filter((ch) => isWhite(ch) === white);
+        if (mine.length) terms.push(`#(${designator(mine, set.squares)} attacks ${white ? "A" : "a"}${expr.square})`);
+      }
+      text = terms.join(" + ");
+      break;
+    }
+
+    case "power":
+      text = `power ${setToCql(expr.pieces)}`;
+      break;
+
+    case "count":
+      text = `#${setToCql(expr.pieces)}`;
+      break;
+
+    case "mobility":
+      ctx.warnings.push(`${where}: CQL counts legal moves for the side to move only; the evaluator counts either side`);
+      text = `(move legal from ${setToCql(expr.pieces)} count)`;
+      break;
+  }
+
+  const plus = expr.plus ?? 0;
+  if (plus > 0) text += ` + ${plus}`;
+  if (plus < 0) text += ` - ${-plus}`;
+  return text;
+}
+
+/* ---------------- designators ---------------- */
+
+/**
+ * A JSON piece ref as a CQL piece designator. X/x are the JSON spelling
+ * of CQL's A/a.
+ */
+function refToCql(ref) {
+  const { pieces, squares } = parsePieceRef(ref);
+  return designator(pieces, squares);
+}
+
+function setToCql(str) {
+  const { pieces, squares } = parsePieceSet(str);
+  return designator(pieces, squares);
+}
+
+function designator(pieces, squares) {
+  const letters = [...new Set(pieces.map((ch) => (ch === "X" ? "A" : ch === "x" ? "a" : ch)))];
+  const p = letters.length === 1 ? letters[0] : `[${letters.join("")}]`;
+  if (!squares) return p;
+  return squares.length === 1 ? `${p}${squares[0]}` : `${p}[${squares.join(",")}]`;
+}
+
+function isWhite(ch) {
+  return ch === ch.toUpperCase();
+}
@@ -0,0 +1,317 @@
+// cql_compiler.test.js
+import { readFileSync } from "node:fs";
+import { queryToCql } from "./cql_compiler.js";
+
+/* ---------------- minimal zero-dep test harness ---------------- */
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  expected: ${expected}\n  got: ${actual}`);
+  }
+}
+
+function runTest({ name, query, options, cql, warnings = [] }) {
+  const got = queryToCql(query, options);
+  assertEqual(got.cql, cql, `❌ ${name}`);
+  assertEqual(got.warnings.join("\n"), warnings.join("\n"), `❌ ${name} (warnings)`);
+  console.log(`✅ ${name}`);
+}
+
+function runErrorTest({ name, query, errors }) {
+  let thrown = null;
+  try {
+    queryToCql(query);
+  } catch (e) {
+    thrown = e;
+  }
+  assertEqual(thrown !== null, true, `❌ ${name} (throws)`);
+  assertEqual((thrown.errors ?? []).join("\n"), errors.join("\n"), `❌ ${name}`);
+  console.log(`✅ ${name}`);
+}
+
+const corpus = JSON.parse(readFileSync(new URL("./universalquery_tests.json", import.meta.url), "utf8"));
+const corpusQuery = (prefix) => corpus.tests.find((t) => t.name.startsWith(prefix)).query;
+const FEN_WARNING = "fen: CQL scans game positions; the fen only fixes the side to move";
+
+/* ---------------- table-driven cases ---------------- */
+
+const tests = [
+  {
+    name: "static query becomes one compound",
+    query: {
+      name: "Greek Gift (minimal preconditions)",
+      predicates: [
+        { op: "at", piece: { ref: "Bd3" } },
+        { op: "at", piece: { ref: "Ng5" } },
+        { op: "attacks", attacker: { ref: "Ng5" }, target: { ref: "ph7" } },
+        { op: "attacks", attacker: { ref: "Bd3" }, target: { ref: "ph7" }, assert: false },
+      ],
+    },
+    cql: `cql()
+
+// Greek Gift (minimal preconditions)
+{
+  Bd3
+  Ng5
+  Ng5 attacks ph7
+  not { Bd3 attacks ph7 }
+}
+`,
+  },
+  {
+    name: "moves become line steps; the fen fixes colors",
+    query: corpusQuery("07"),
+    cql: `cql()
+
+line
+  --> wtm
+  --> {
+    Bh7
+    check
+  }
+  --> kh7
+  --> {
+    Ng5
+    check
+    kh7
+    Ng5 attacks ah7
+  }
+`,
+    warnings: [FEN_WARNING],
+  },
+  {
+    name: "without a side to move, movers may be either color",
+    query: {
+      predicates: [
+        { op: "move", san: "Bxh7+" },
+        { op: "move", san: "Kxh7" },
+        { op: "and", predicates: [{ op: "move", san: "O-O" }, { op: "at", piece: { ref: "Rf1" } }] },
+        { op: "move", san: "exd8=Q#" },
+      ],
+    },
+    cql: `cql()
+
+line
+  --> .
+  --> {
+    [Bb]h7
+    check
+  }
+  --> [Kk]h7
+  --> {
+    [Kk][g1,g8]
+    Rf1
+  }
+  --> {
+    [Qq]d8
+    mate
+  }
+`,
+  },
+  {
+    name: "sideToMove option picks the castling square",
+    query: { predicates: [{ op: "move", san: "O-O-O" }, { op: "move", san: "O-O+" }] },
+    options: { sideToMove: "b" },
+    cql: `cql()
+
+line
+  --> btm
+  --> kc8
+  --> {
+    Kg1
+    check
+  }
+`,
+  },
+  {
+    name: "groups: and / or / anyOf / not",
+    query: {
+      predicates: [
+        { op: "and", predicates: [{ op: "at", piece: { ref: "pf7" } }, { op: "at", piece: { ref: "pg7" } }] },
+        { op: "or", predicates: [{ op: "at", piece: { ref: "kg8" } }, { op: "at", piece: { ref: "kh8" } }] },
+        {
+          op: "anyOf",
+          min: 2,
+          predicates: [
+            { op: "at", piece: { ref: "Pc3" } },
+            { op: "at", piece: { ref: "Pe3" } },
+            { op: "attacks", attacker: { ref: "Nf3" }, target: { ref: "Ad4" } },
+          ],
+        },
+        { op: "not", predicate: { op: "at", piece: { ref: "n[f6,h6]" } } },
+        { op: "not", predicate: { op: "at", piece: { ref: "qd8" } }, assert: false },
+        { op: "or", predicates: [{ op: "at", piece: { ref: "Qd1" } }], assert: false },
+      ],
+    },
+    cql: `cql()
+
+{
+  { pf7 pg7 }
+  (kg8 or kh8)
+  ({ Pc3 Pe3 } or { Pc3 Nf3 attacks Ad4 } or { Pe3 Nf3 attacks Ad4 })
+  not n[f6,h6]
+  qd8
+  not Qd1
+}
+`,
+  },
+  {
+    name: "defends, xrays, pins and checks",
+    query: {
+      predicates: [
+        { op: "defends", defender: { ref: "[Nn]f3" }, target: { ref: "Ae5" } },
+        { op: "defends", defender: { ref: "[Nn]f3" }, target: { ref: "[Pp]e5" } },
+        { op: "xrays", attacker: { ref: "Qd1" }, target: { ref: "qd8" } },
+        { op: "xrays", attacker: { ref: "Rd1" }, target: { ref: "qd8" }, through: "[NB]" },
+        { op: "pins", pinner: { ref: "Bb5" }, pinned: { ref: "nc6" } },
+        { op: "pins", pinner: { ref: "Bg5" }, pinned: { ref: "nf6" }, to: "qd8", assert: false },
+        { op: "checks", attacker: { ref: "Xb5" } },
+        { op: "checks", attacker: { ref: "[Qq][h5,h4]" } },
+      ],
+    },
+    cql: `cql()
+
+{
+  Nf3 attacks Ae5
+  (Nf3 attacks Pe5 or nf3 attacks pe5)
+  xray (Qd1 [Aa] qd8)
+  xray (Rd1 [NB] qd8)
+  pin from Bb5 through nc6
+  not { pin from Bg5 through nf6 to qd8 }
+  Ab5 attacks k
+  (Q[h5,h4] attacks k or q[h5,h4] attacks K)
+}
+`,
+  },
+  {
+    name: "counts (corpus 11) with the mobility caveat",
+    query: corpusQuery("11"),
+    cql: `cql()
+
+{
+  wtm
+  { #(a attacks g5) == 0 }
+  { #([pnbrq] attacks h7) <= 1 }
+  { #(A attacks h7) >= 1 }
+  { power A <= power a + 1 }
+  { power a <= power A + 1 }
+  { (move legal from Nf3 count) >= 5 }
+}
+`,
+    warnings: [
+      FEN_WARNING,
+      "predicates[5].left: CQL counts legal moves for the side to move only; the evaluator counts either side",
+    ],
+  },
+  {
+    name: "defenders split by the occupant's color",
+    query: {
+      predicates: [
+        { op: "compare", left: { fn: "defenders", square: "e5" }, cmp: ">", right: { fn: "count", pieces: "[NB]", plus: -1 } },
+        { op: "compare", left: { fn: "defenders", square: "f7", pieces: "[qk]" }, cmp: "==", right: 1 },
+      ],
+    },
+    cql: `cql()
+
+{
+  { #(A attacks Ae5) + #(a attacks ae5) > #[NB] - 1 }
+  { #([qk] attacks af7) == 1 }
+}
+`,
+  },
+  {
+    name: "weak / outpost spell out the pawn squares (corpus 12, cql/weakd4.cql)",
+    query: corpusQuery("12"),
+    cql: `cql()
+
+{
+  wtm
+  not p[c5,e5,c6,e6,c7,e7]
+  { not p[c5,e5,c6,e6,c7,e7] P[c3,e3] }
+  { power A <= power a + 1 }
+  { power a <= power A + 1 }
+  { #N >= 1 }
+  { #n == 0 }
+}
+`,
+    warnings: [FEN_WARNING],
+  },
+  {
+    name: "outposts for Black, and where no enemy pawn can reach",
+    query: {
+      predicates: [
+        { op: "outpost", square: "e3", color: "b" },
+        { op: "outpost", square: "a7", color: "w", assert: false },
+      ],
+    },
+    cql: `cql()
+
+{
+  { not P[d2,f2] p[d4,f4] }
+  not Pb6
+}
+`,
+  },
+];
+
+const errorTests = [
+  {
+    name: "refuses what CQL cannot express, naming every spot",
+    query: {
+      predicates: [
+        { op: "move", san: "e5", assert: false },
+        { op: "geometry", attacker: { ref: "Ne5" }, targets: [{ ref: "pf7" }, { ref: "pd7" }] },
+        { op: "or", predicates: [{ op: "move", san: "Nf3" }, { op: "at", piece: { ref: "Nf3" } }] },
+        { op: "defends", defender: { ref: "Bd3" }, target: { ref: "ph7" } },
+        { op: "move", san: "Nf3!" },
+        { op: "weak", square: "d2", color: "w" },
+        { op: "outpost", square: "d3", color: "w" },
+        { op: "winsMaterialOn", square: "e5", color: "w" },
+      ],
+    },
+    errors: [
+      "predicates[0]: a move with assert=false (must be illegal) has no CQL equivalent",
+      'predicates[1]: "geometry" tests an empty board and has no CQL equivalent',
+      'predicates[2].predicates[0]: a move inside a group has no CQL equivalent (only top-level and "and" moves form a line)',
+      "predicates[3]: 'Bd3' and 'ph7' share no color, so nothing can defend",
+      "predicates[4].san: 'Nf3!' is not a SAN move",
+      "predicates[5]: d2 is weak for White in every position; drop the predicate",
+      "predicates[6]: d3 is never an outpost for White (ranks 4-7 only)",
+      'predicates[7]: "winsMaterialOn" plays out a capture sequence and has no CQL equivalent',
+    ],
+  },
+  {
+    name: "refuses invalid queries with the validator's errors",
+    query: { predicates: [{ op: "at", piece: { ref: "Nz9" } }] },
+    errors: ["predicates[0].piece.ref: 'Nz9' is not a square"],
+  },
+];
+
+/* ---------------- runner ---------------- */
+
+let passed = 0;
+
+for (const t of tests) {
+  try {
+    runTest(t);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+for (const t of errorTests) {
+  try {
+    runErrorTest(t);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+const total = tests.length + errorTests.length;
+console.log(`\n${passed}/${total} tests passed`);
+
+if (passed !== total) {
+  process.exit(1);
+}
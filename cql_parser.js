@@ -0,0 +1,917 @@
+// cql_parser.js
+
+/**
+ * Parse a program in the restricted CQL subset (research/restrictedcql6.2.ebnf
+ * with research/restrictedcql6.2-extensions.ebnf) into an AST. Every node
+ * carries loc: { line, column } (1-based).
+ *
+ *   Program      { params, blocks, comments }   params: the words in cql(...), e.g. ["quiet"]
+ *   Initial      { pieces: PieceDecl[] }          PieceDecl { name, designator }
+ *   Find         { body: statements }
+ *     Constraint { kind: "wtm" | "btm" | "movenumber", cmp?, value? }
+ *     Assign     { name, value: String | CountExpr }
+ *     If         { branches: [{ condition, body: Assign[] }], otherwise: Assign[] | null }
+ *     Comment    { parts: (String | Number | Ident)[] }
+ *   Line         { steps: filters }
+ *   Compound     { filters }
+ *   Flipcolor    { filter }
+ *
+ * Filters: Designator { pieces, squares }, Any, Keyword { name } (wtm, btm,
+ * check, mate, move), Not { filter }, Or { filters }, Compound, Line,
+ * Flipcolor, Attacks { attacker, target }, Xray { attacker, through,
+ * target }, Pin { from, through, to }, Compare { left, cmp, right },
+ * Constraint (movenumber), Result { value }, SquareColor { color, of }
+ * (`dark N`). A "_" among a designator's pieces is the empty square.
+ * Conditions: Or, And, DarkTest { name }, Compare.
+ * CountExpr is Sum { terms: [{ sign, term }] } over Number, Ident, Power,
+ * Count, AttackCount { attacker, target }, ColorCount { color, of } and
+ * Mobility { from }.
+ *
+ * "//" comments are skipped but kept in Program.comments as { text, line }.
+ *
+ * Throws a CqlSyntaxError (err.name) with .line and .column on bad input.
+ *
+ * @param {string} source
+ * @returns {object} Program node
+ */
+export function parseCql(source) {
+  const { tokens, comments } = tokenize(String(source ?? ""));
+  let pos = 0;
+
+  const peek = (k = 0) => tokens[Math.min(pos + k, tokens.length - 1)];
+  const next = () => tokens[pos < tokens.length - 1 ? pos++ : pos];
+  const isPunct = (tok, value) => tok.type === "punct" && tok.value === value;
+  const isWord = (tok, value) => tok.type === "word" && (value === undefined || tok.value === value);
+  const adjacent = (a, b) => a.end === b.start;
+  const loc = (tok) => ({ line: tok.line, column: tok.column });
+
+  function expectPunct(value) {
+    const tok = next();
+    if (!isPunct(tok, value)) throw syntaxError(`expected "${value}"`, tok);
+    return tok;
+  }
+
+  function expectWord(value) {
+    const tok = next();
+    if (!isWord(tok, value)) throw syntaxError(value ? `expected "${value}"` : "expected a name", tok);
+    return tok;
+  }
+
+  /* ---------------- program ---------------- */
+
+  function parseProgram() {
+    const start = expectWord("cql");
+    if (!adjacent(start, peek())) throw syntaxError('expected "cql()"', peek());
+    expectPunct("(");
+    const params = [];
+    while (isWord(peek())) params.push(next().value);
+    expectPunct(")");
+
+    const blocks = [];
+    while (peek().type !== "eof") blocks.push(parseBlock());
+    return { type: "Program", params, blocks, comments, loc: loc(start) };
+  }
+
+  function parseBlock() {
+    const tok = peek();
+    if (isWord(tok, "initial")) return parseInitial();
+    if (isWord(tok, "find")) return parseFind();
+    if (isWord(tok, "line")) return parseLine();
+    if (isPunct(tok, "{")) return parseCompound();
+    if (isWord(tok, "flipcolor")) {
+      next();
+      return { type: "Flipcolor", filter: parseBlock(), loc: loc(tok) };
+    }
+    throw syntaxError('expected "initial", "find", "line", "flipcolor" or "{"', tok);
+  }
+
+  function parseInitial() {
+    const start = expectWord("initial");
+    expectPunct("{");
+    const pieces = [];
+    while (!isPunct(peek(), "}")) {
+      const kw = expectWord("piece");
+      const name = parseIdent();
+      expectPunct("=");
+      const desigTok = peek();
+      const designator = parseDesignator();
+      if (designator.pieces?.length !== 1 || "Aa".includes(designator.pieces[0]) || designator.squares?.length !== 1) {
+        throw syntaxError("expected a piece letter and a square, e.g. Nb1", desigTok);
+      }
+      pieces.push({ type: "PieceDecl", name, designator, loc: loc(kw) });
+    }
+    expectPunct("}");
+    return { type: "Initial", pieces, loc: loc(start) };
+  }
+
+  function parseFind() {
+    const start = expectWord("find");
+    expectWord("all");
+    expectWord("quiet");
+    expectPunct("{");
+    const body = [];
+    while (!isPunct(peek(), "}")) body.push(parseFindStatement());
+    expectPunct("}");
+    return { type: "Find", body, loc: loc(start) };
+  }
+
+  function parseFindStatement() {
+    const tok = peek();
+    if (isWord(tok, "wtm") || isWord(tok, "btm")) {
+      next();
+      return { type: "Constraint", kind: tok.value, loc: loc(tok) };
+    }
+    if (isWord(tok, "movenumber")) {
+      next();
+      const cmp = parseCompOp();
+      const value = parseNumber();
+      return { type: "Constraint", kind: "movenumber", cmp, value, loc: loc(tok) };
+    }
+    if (isWord(tok, "if")) return parseIfChain();
+    if (isWord(tok, "comment")) return parseComment();
+    if (isWord(tok) && isPunct(peek(1), "=")) return parseAssign();
+    throw syntaxError("expected wtm, btm, movenumber, an assignment, if or comment", tok);
+  }
+
+  function parseAssign() {
+    const tok = peek();
+    const name = parseIdent();
+    expectPunct("=");
+    const value = peek().type === "string" ? parseString() : parseCountExpr();
+    return { type: "Assign", name, value, loc: loc(tok) };
+  }
+
+  function parseIfChain() {
+    const start = expectWord("if");
+    const branches = [parseBranch(start)];
+    let otherwise = null;
+    while (isWord(peek(), "else")) {
+      next();
+      if (isWord(peek(), "if")) branches.push(parseBranch(next()));
+      else {
+        otherwise = parseBlockBody();
+        break;
+      }
+    }
+    return { type: "If", branches, otherwise, loc: loc(start) };
+  }
+
+  function parseBranch(ifTok) {
+    expectPunct("(");
+    const condition = parseCondition();
+    expectPunct(")");
+    expectWord("then");
+    return { condition, body: parseBlockBody(), loc: loc(ifTok) };
+  }
+
+  function parseBlockBody() {
+    expectPunct("{");
+    const body = [];
+    while (!isPunct(peek(), "}")) {
+      if (!(isWord(peek()) && isPunct(peek(1), "="))) throw syntaxError("expected an assignment", peek());
+      body.push(parseAssign());
+    }
+    expectPunct("}");
+    return body;
+  }
+
+  function parseComment() {
+    const start = expectWord("comment");
+    expectPunct("(");
+    const parts = [];
+    while (!isPunct(peek(), ")")) {
+      const tok = peek();
+      if (tok.type === "string") parts.push(parseString());
+      else if (tok.type === "number") parts.push({ type: "Number", value: parseNumber(), loc: loc(tok) });
+      else if (isWord(tok)) parts.push({ type: "Ident", name: parseIdent(), loc: loc(tok) });
+      else throw syntaxError("expected a string, number or name", tok);
+    }
+    if (!parts.length) throw syntaxError("expected a string, number or name", peek());
+    expectPunct(")");
+    return { type: "Comment", parts, loc: loc(start) };
+  }
+
+  /* ---------------- conditions ---------------- */
+
+  function parseCondition() {
+    const tok = peek();
+    const terms = [parseAndCondition()];
+    while (isWord(peek(), "or")) {
+      next();
+      terms.push(parseAndCondition());
+    }
+    return terms.length === 1 ? terms[0] : { type: "Or", filters: terms, loc: loc(tok) };
+  }
+
+  function parseAndCondition() {
+    const tok = peek();
+    const terms = [parseAtom()];
+    while (isWord(peek(), "and")) {
+      next();
+      terms.push(parseAtom());
+    }
+    return terms.length === 1 ? terms[0] : { type: "And", filters: terms, loc: loc(tok) };
+  }
+
+  function parseAtom() {
+    const tok = peek();
+    if (isPunct(tok, "(") && !isWord(peek(1), "move")) {
+      next();
+      const inner = parseCondition();
+      expectPunct(")");
+      return inner;
+    }
+    if (isWord(tok, "dark")) {
+      next();
+      return { type: "DarkTest", name: parseIdent(), loc: loc(tok) };
+    }
+    return parseCompare();
+  }
+
+  function parseCompare() {
+    const tok = peek();
+    const left = parseCountExpr();
+    const cmp = parseCompOp();
+    const right = parseCountExpr();
+    return { type: "Compare", left, cmp, right, loc: loc(tok) };
+  }
+
+  /* ---------------- query filters ---------------- */
+
+  function parseLine() {
+    const start = expectWord("line");
+    const steps = [];
+    while (isPunct(peek(), "-->")) {
+      next();
+      steps.push(isPunct(peek(), ".") ? { type: "Any", loc: loc(next()) } : parseFilter());
+    }
+    if (!steps.length) throw syntaxError('expected "-->"', peek());
+    return { type: "Line", steps, loc: loc(start) };
+  }
+
+  function parseCompound() {
+    const start = expectPunct("{");
+    const filters = [];
+    while (!isPunct(peek(), "}")) filters.push(parseFilter());
+    expectPunct("}");
+    return { type: "Compound", filters, loc: loc(start) };
+  }
+
+  function parseFilter() {
+    const tok = peek();
+
+    if (isPunct(tok, "{")) return parseCompound();
+    if (isPunct(tok, "(") && !isWord(peek(1), "move")) {
+      next();
+      const filters = [parseFilter()];
+      while (isWord(peek(), "or")) {
+        next();
+        filters.push(parseFilter());
+      }
+      expectPunct(")");
+      return filters.length === 1 ? filters[0] : { type: "Or", filters, loc: loc(tok) };
+    }
+    if (isWord(tok, "not")) {
+      next();
+      return { type: "Not", filter: parseFilter(), loc: loc(tok) };
+    }
+    if (isWord(tok, "wtm") || isWord(tok, "btm") || isWord(tok, "check") || isWord(tok, "mate") || isWord(tok, "move")) {
+      next();
+      return { type: "Keyword", name: tok.value, loc: loc(tok) };
+    }
+    if (isWord(tok, "line")) return parseLine();
+    if (isWord(tok, "flipcolor")) {
+      next();
+      return { type: "Flipcolor", filter: parseFilter(), loc: loc(tok) };
+    }
+    if (isWord(tok, "movenumber")) {
+      next();
+      const cmp = parseCompOp();
+      return { type: "Constraint", kind: "movenumber", cmp, value: parseNumber(), loc: loc(tok) };
+    }
+    if (isWord(tok, "result")) {
+      next();
+      const value = next();
+      if (value.type !== "result") throw syntaxError("expected a result (1-0, 0-1 or 1/2-1/2)", value);
+      return { type: "Result", value: value.value, loc: loc(tok) };
+    }
+    if (isWord(tok, "dark") || isWord(tok, "light")) {
+      next();
+      return { type: "SquareColor", color: tok.value, of: parseDesignator(), loc: loc(tok) };
+    }
+    if (isWord(tok, "xray")) {
+      next();
+      expectPunct("(");
+      const attacker = parseDesignator();
+      const through = parseDesignator();
+      const target = parseDesignator();
+      expectPunct(")");
+      return { type: "Xray", attacker, through, target, loc: loc(tok) };
+    }
+    if (isWord(tok, "pin")) {
+      next();
+      expectWord("from");
+      const from = parseDesignator();
+      expectWord("through");
+      const through = parseDesignator();
+      let to = null;
+      if (isWord(peek(), "to")) {
+        next();
+        to = parseDesignator();
+      }
+      return { type: "Pin", from, through, to, loc: loc(tok) };
+    }
+    if (tok.type === "number" || isPunct(tok, "#") || isPunct(tok, "(") || isWord(tok, "power")) {
+      return parseCompare();
+    }
+    if (isDesignatorStart(tok)) {
+      const designator = parseDesignator();
+      if (!isWord(peek(), "attacks")) return designator;
+      next();
+      return { type: "Attacks", attacker: designator, target: parseDesignator(), loc: loc(tok) };
+    }
+    throw syntaxError("expected a filter", tok);
+  }
+
+  /* ---------------- counts ---------------- */
+
+  function parseCountExpr() {
+    const tok = peek();
+    const terms = [{ sign: 1, term: parseCountTerm() }];
+    while (isPunct(peek(), "+") || isPunct(peek(), "-")) {
+      const sign = next().value === "+" ? 1 : -1;
+      terms.push({ sign, term: parseCountTerm() });
+    }
+    return { type: "Sum", terms, loc: loc(tok) };
+  }
+
+  function parseCountTerm() {
+    const tok = peek();
+
+    if (tok.type === "number") return { type: "Number", value: parseNumber(), loc: loc(tok) };
+
+    if (isWord(tok, "power")) {
+      next();
+      return { type: "Power", of: parseDesignator(), loc: loc(tok) };
+    }
+
+    if (isPunct(tok, "#")) {
+      next();
+      if (!adjacent(tok, peek())) throw syntaxError('expected "#(" or "#" directly before a piece', peek());
+      if (!isPunct(peek(), "(")) return { type: "Count", of: parseDesignator(), loc: loc(tok) };
+      next();
+      let node;
+      if (isWord(peek(), "dark") || isWord(peek(), "light")) {
+        const color = next().value;
+        node = { type: "ColorCount", color, of: parseDesignator(), loc: loc(tok) };
+      } else {
+        const attacker = parseDesignator();
+        expectWord("attacks");
+        node = { type: "AttackCount", attacker, target: parseDesignatorOrIdent(), loc: loc(tok) };
+      }
+      expectPunct(")");
+      return node;
+    }
+
+    if (isPunct(tok, "(")) {
+      next();
+      expectWord("move");
+      expectWord("legal");
+      expectWord("from");
+      const from = parseDesignatorOrIdent();
+      expectWord("count");
+      expectPunct(")");
+      return { type: "Mobility", from, loc: loc(tok) };
+    }
+
+    if (isWord(tok)) return { type: "Ident", name: parseIdent(), loc: loc(tok) };
+    throw syntaxError("expected a number, name or count", tok);
+  }
+
+  function parseCompOp() {
+    const tok = next();
+    if (tok.type !== "punct" || !COMP_OPS.includes(tok.value)) {
+      throw syntaxError(`expected a comparison (${COMP_OPS.join(" ")})`, tok);
+    }
+    return tok.value;
+  }
+
+  /* ---------------- designators ---------------- */
+
+  function isDesignatorStart(tok) {
+    return isPunct(tok, "[") || (isWord(tok) && DESIGNATOR_WORD_RE.test(tok.value));
+  }
+
+  function parseDesignatorOrIdent() {
+    const tok = peek();
+    if (isDesignatorStart(tok)) return parseDesignator();
+    return { type: "Ident", name: parseIdent(), loc: loc(tok) };
+  }
+
+  /**
+   * Bd3, ph7, A, [NB]d3, N[d3,e2], [Kk][g1,g8], g5. The parts must touch:
+   * "[NB] d3" is two filters.
+   */
+  function parseDesignator() {
+    const start = peek();
+    let pieces = null;
+    let squares = null;
+    let last;
+
+    if (isPunct(start, "[")) {
+      next();
+      const letters = next();
+      if (!isWord(letters) || !/^[PNBRQKpnbrqkAa_]+$/.test(letters.value)) {
+        throw syntaxError("expected piece letters (PNBRQK, pnbrqk, A, a or _)", letters);
+      }
+      pieces = [...new Set(letters.value)];
+      last = expectPunct("]");
+      if (isWord(peek()) && adjacent(last, peek())) {
+        const sq = next();
+        if (!SQUARE_RE.test(sq.value)) throw syntaxError("expected a square", sq);
+        squares = [sq.value];
+        last = sq;
+      }
+    } else {
+      const word = next();
+      const m = isWord(word) ? DESIGNATOR_WORD_RE.exec(word.value) : null;
+      if (!m) throw syntaxError("expected a piece designator", word);
+      if (m[1]) pieces = [m[1]];
+      if (m[2]) squares = [m[2]];
+      last = word;
+    }
+
+    if (!squares && isPunct(peek(), "[") && adjacent(last, peek())) {
+      next();
+      squares = [];
+      do {
+        const sq = next();
+        if (!isWord(sq) || !SQUARE_RE.test(sq.value)) throw syntaxError("expected a square", sq);
+        squares.push(sq.value);
+      } while (isPunct(peek(), ",") && next());
+      expectPunct("]");
+    }
+
+    if (!pieces && !squares) throw syntaxError("expected a piece designator", start);
+    return { type: "Designator", pieces, squares, loc: loc(start) };
+  }
+
+  /* ---------------- lexemes ---------------- */
+
+  function parseIdent() {
+    return expectWord().value;
+  }
+
+  function parseNumber() {
+    const tok = next();
+    if (tok.type !== "number") throw syntaxError("expected a number", tok);
+    return Number(tok.value);
+  }
+
+  function parseString() {
+    const tok = next();
+    return { type: "String", value: tok.value, loc: loc(tok) };
+  }
+
+  return parseProgram();
+}
+
+/* ---------------- conversion to Chess Query v3 ---------------- */
+
+/**
+ * Convert a restricted CQL program (source or parseCql() AST) into a Chess
+ * Query v3 document for chess_query.js. The inverse of queryToCql().
+ *
+ * Query filters map one to one: designators to "at", `attacks` to
+ * "attacks" (or "checks" against a bare k / K), `xray` / `pin` to "xrays" /
+ * "pins", comparisons to "compare", compounds / `( or )` / `not` to groups.
+ * In a `line`, every step after the first is the position after one move
+ * and must start with the moved piece on its destination; it becomes a
+ * "move" predicate with a loose SAN ("[Bb]h7" + check -> "Bh7+"). A king
+ * landing on g1/g8 or c1/c8 reads as castling; promotions do not survive.
+ *
+ * A line may also sit in a top-level compound next to filters on its
+ * first position (cql/weakd4.cql). "[p_]f7", a pawn or nothing on f7,
+ * becomes an "or" with "no piece on f7".
+ *
+ * wtm / btm, movenumber, result, `initial` and `find` blocks only make
+ * sense while scanning a game, so they are dropped with a warning;
+ * flipcolor is dropped the same way and only the colors as written are
+ * converted. Anything else without a JSON counterpart throws; the error's
+ * .errors lists each spot by line:column.
+ * A "// name" comment on the line above the first filter block becomes the
+ * query name.
+ *
+ * @param {string|object} source CQL text or a Program node
+ * @returns {{query: object, warnings: string[]}}
+ */
+export function cqlToQuery(source) {
+  const ast = typeof source === "string" ? parseCql(source) : source;
+  const ctx = { errors: [], warnings: [] };
+  const predicates = [];
+  let sawLine = false;
+  let first = null;
+
+  const convertBlock = (block) => {
+    const at = where(block);
+    if (block.type === "Initial") {
+      ctx.warnings.push(`${at}: initial block (piece variables) has no JSON equivalent; dropped`);
+    } else if (block.type === "Find") {
+      ctx.warnings.push(`${at}: find block (constraints, assignments and comments) has no JSON equivalent; dropped`);
+    } else if (block.type === "Flipcolor") {
+      ctx.warnings.push(`${at}: flipcolor has no JSON equivalent; only the colors as written are converted`);
+      convertBlock(block.filter);
+    } else if (block.type === "Line") {
+      if (sawLine) ctx.errors.push(`${at}: only one line can become a query`);
+      sawLine = true;
+      first ??= block;
+      predicates.push(...convertLine(block, ctx));
+    } else if (block.type !== "Compound") {
+      first ??= block;
+      predicates.push(...convertFilters([block], ctx));
+    } else {
+      first ??= block;
+      // Filters beside a line hold on its first position, so they go first.
+      const lines = block.filters.filter((f) => f.type === "Line" || f.type === "Flipcolor");
+      predicates.push(...convertFilters(block.filters.filter((f) => !lines.includes(f)), ctx));
+      for (const f of lines) convertBlock(f);
+    }
+  };
+  for (const block of ast.blocks) convertBlock(block);
+
+  if (!ctx.errors.length && !predicates.length) ctx.errors.push(`${where(ast)}: no query filters to convert`);
+  if (ctx.errors.length) {
+    const e = new Error(`CQL cannot be converted to a query:\n  ${ctx.errors.join("\n  ")}`);
+    e.errors = ctx.errors;
+    throw e;
+  }
+
+  const query = {};
+  const name = first && ast.comments?.find((c) => c.line === first.loc.line - 1);
+  if (name?.text) query.name = name.text;
+  query.predicates = predicates;
+  return { query, warnings: ctx.warnings };
+}
+
+function where(node) {
+  return `${node.loc.line}:${node.loc.column}`;
+}
+
+function convertLine(line, ctx) {
+  const [head, ...moves] = line.steps;
+  const out = convertFilters(stepFilters(head), ctx);
+
+  for (const step of moves) {
+    const [mover, ...rest] = stepFilters(step);
+    const san = moverToSan(mover);
+    if (!san) {
+      const anyMove = mover?.type === "Keyword" && mover.name === "move";
+      ctx.errors.push(`${where(step)}: ${anyMove ? "move (any move) has no JSON equivalent; " : ""}a line step must start with the moved piece on its destination`);
+      continue;
+    }
+    const suffix = rest.find((f) => f.type === "Keyword" && f.name === "mate")
+      ? "#"
+      : rest.some((f) => f.type === "Keyword" && f.name === "check")
+        ? "+"
+        : "";
+    out.push({ op: "move", san: san + suffix });
+    out.push(...convertFilters(rest.filter((f) => !(f.type === "Keyword" && (f.name === "check" || f.name === "mate"))), ctx));
+  }
+  return out;
+}
+
+function stepFilters(step) {
+  if (step.type === "Any") return [];
+  return step.type === "Compound" ? step.filters : [step];
+}
+
+/**
+ * "Bh7", "[Bb]h7", "pe4", "[Kk][g1,g8]" -> "Bh7", "Bh7", "e4", "O-O".
+ */
+function moverToSan(f) {
+  if (f?.type !== "Designator" || !f.pieces || !f.squares) return null;
+  const types = new Set(f.pieces.map((ch) => ch.toUpperCase()));
+  if (types.size !== 1 || types.has("A")) return null;
+  const type = [...types][0];
+
+  if (type === "K") {
+    if (f.squares.every((sq) => sq === "g1" || sq === "g8")) return "O-O";
+    if (f.squares.every((sq) => sq === "c1" || sq === "c8")) return "O-O-O";
+  }
+  if (f.squares.length !== 1) return null;
+  return type === "P" ? f.squares[0] : type + f.squares[0];
+}
+
+function convertFilters(filters, ctx) {
+  const out = [];
+  for (const f of filters) {
+    const pred = convertFilter(f, ctx);
+    if (pred) out.push(pred);
+  }
+  return out;
+}
+
+/**
+ * One filter as one predicate, or null (dropped with a warning, or an
+ * error recorded).
+ */
+function convertFilter(f, ctx) {
+  switch (f.type) {
+    case "Any":
+      return null;
+
+    case "Keyword":
+      if (f.name === "wtm" || f.name === "btm") {
+        ctx.warnings.push(`${where(f)}: ${f.name} has no JSON equivalent (set the side to move in the fen); dropped`);
+        return null;
+      }
+      if (f.name === "move") {
+        ctx.errors.push(`${where(f)}: move (any move) has no JSON equivalent; a line step must name the moved piece`);
+        return null;
+      }
+      ctx.errors.push(`${where(f)}: ${f.name} is only supported right after a move in a line`);
+      return null;
+
+    case "Constraint":
+    case "Result":
+      ctx.warnings.push(`${where(f)}: ${f.kind ?? "result"} has no JSON equivalent (it depends on the game, not the position); dropped`);
+      return null;
+
+    case "Designator":
+      if (f.pieces?.includes("_")) return convertEmptySquare(f, ctx);
+      if (f.pieces && f.squares) return { op: "at", piece: { ref: designatorText(f) } };
+      if (f.pieces) return { op: "compare", left: { fn: "count", pieces: designatorText(f) }, cmp: ">=", right: 1 };
+      ctx.errors.push(`${where(f)}: a bare square set has no JSON equivalent`);
+      return null;
+
+    case "Not": {
+      const inner = convertFilter(f.filter, ctx);
+      if (!inner) return null;
+      if (inner.assert === false) {
+        delete inner.assert;
+        return inner;
+      }
+      return { ...inner, assert: false };
+    }
+
+    case "Compound":
+    case "Or": {
+      const kids = convertFilters(f.filters, ctx);
+      if (kids.length !== f.filters.length) return null;
+      if (kids.length === 1) return kids[0];
+      return { op: f.type === "Or" ? "or" : "and", predicates: kids };
+    }
+
+    case "Attacks": {
+      const a = f.attacker;
+      const t = f.target;
+      if (a.pieces && a.squares && t.pieces?.length === 1 && !t.squares && "Kk".includes(t.pieces[0])) {
+        const kingWhite = t.pieces[0] === "K";
+        if (a.pieces.every((ch) => isWhite(ch) !== kingWhite)) return { op: "checks", attacker: { ref: designatorText(a) } };
+      }
+      if (!(a.pieces && a.squares && t.pieces && t.squares)) {
+        ctx.errors.push(`${where(f)}: attacks needs a piece and squares on both sides`);
+        return null;
+      }
+      return { op: "attacks", attacker: { ref: designatorText(a) }, target: { ref: designatorText(t) } };
+    }
+
+    case "Xray": {
+      if (!refable(f.attacker) || !refable(f.target) || !f.through.pieces) {
+        ctx.errors.push(`${where(f)}: xray needs a piece and squares at both ends`);
+        return null;
+      }
+      const pred = { op: "xrays", attacker: { ref: designatorText(f.attacker) }, target: { ref: designatorText(f.target) } };
+      const anyPiece = !f.through.squares && f.through.pieces.includes("A") && f.through.pieces.includes("a");
+      if (!anyPiece) pred.through = designatorText(f.through);
+      return pred;
+    }
+
+    case "Pin": {
+      if (!refable(f.from) || !refable(f.through) || (f.to && !f.to.pieces)) {
+        ctx.errors.push(`${where(f)}: pin needs a piece and squares for "from" and "through"`);
+        return null;
+      }
+      const pred = { op: "pins", pinner: { ref: designatorText(f.from) }, pinned: { ref: designatorText(f.through) } };
+      if (f.to) pred.to = designatorText(f.to);
+      return pred;
+    }
+
+    case "Compare": {
+      const left = convertCount(f.left, ctx);
+      const right = convertCount(f.right, ctx);
+      if (left === null || right === null) return null;
+      return { op: "compare", left, cmp: f.cmp, right };
+    }
+  }
+
+  ctx.errors.push(`${where(f)}: ${f.type} has no JSON equivalent`);
+  return null;
+}
+
+/**
+ * "[p_]f7": a black pawn on f7 or an empty f7. Only a single square says
+ * the same thing as "no piece there" in JSON.
+ */
+function convertEmptySquare(f, ctx) {
+  if (f.squares?.length !== 1) {
+    ctx.errors.push(`${where(f)}: "_" (empty square) needs exactly one square`);
+    return null;
+  }
+  const empty = { op: "at", piece: { ref: `[Aa]${f.squares[0]}` }, assert: false };
+  const pieces = f.pieces.filter((ch) => ch !== "_");
+  if (!pieces.length) return empty;
+  return { op: "or", predicates: [{ op: "at", piece: { ref: designatorText({ pieces, squares: f.squares }) } }, empty] };
+}
+
+/**
+ * A Sum of CQL counts as a JSON count expression: a number, or one count
+ * plus a constant. `#(A attacks Ae5) + #(a attacks ae5)` is how
+ * queryToCql spells defenders, and reads back as such.
+ */
+function convertCount(sum, ctx) {
+  let plus = 0;
+  const counts = [];
+  for (const { sign, term } of sum.terms) {
+    if (term.type === "Number") plus += sign * term.value;
+    else if (sign < 0) {
+      ctx.errors.push(`${where(term)}: only a constant can be subtracted`);
+      return null;
+    } else counts.push(term);
+  }
+
+  if (!counts.length) return plus;
+
+  let expr = null;
+  if (counts.length === 1) expr = convertCountTerm(counts[0]);
+  else if (counts.length === 2) expr = mergeDefenders(convertCountTerm(counts[0]), convertCountTerm(counts[1]));
+
+  if (!expr) {
+    ctx.errors.push(`${where(sum)}: only one count plus a constant has a JSON equivalent`);
+    return null;
+  }
+  if (plus) expr.plus = plus;
+  return expr;
+}
+
+function convertCountTerm(term) {
+  switch (term.type) {
+    case "Power":
+    case "Count":
+      return term.of.pieces ? { fn: term.type === "Power" ? "power" : "count", pieces: designatorText(term.of) } : null;
+
+    case "Mobility":
+      return term.from.type === "Designator" && term.from.pieces ? { fn: "mobility", pieces: designatorText(term.from) } : null;
+
+    case "AttackCount": {
+      const { attacker: a, target: t } = term;
+      if (t.type !== "Designator" || !a.pieces || t.squares?.length !== 1) return null;
+
+      const sq = t.squares[0];
+      if (!t.pieces) {
+        const anyPiece = !a.squares && a.pieces.includes("A") && a.pieces.includes("a");
+        return anyPiece ? { fn: "attackers", square: sq } : { fn: "attackers", square: sq, pieces: designatorText(a) };
+      }
+      // #(P attacks Ae5): P's own-color pieces defending e5's occupant.
+      if (t.pieces.length === 1 && "Aa".includes(t.pieces[0]) && a.pieces.every((ch) => isWhite(ch) === isWhite(t.pieces[0]))) {
+        return { fn: "defenders", square: sq, pieces: designatorText(a) };
+      }
+      return null;
+    }
+  }
+  return null;
+}
+
+function mergeDefenders(x, y) {
+  if (x?.fn !== "defenders" || y?.fn !== "defenders" || x.square !== y.square) return null;
+  const px = parseSetText(x.pieces);
+  const py = parseSetText(y.pieces);
+  if (!px || !py || px.white === py.white || px.squares !== py.squares) return null;
+
+  const pieces = [...px.letters, ...py.letters];
+  if (!px.squares && pieces.length === 2 && pieces.includes("A") && pieces.includes("a")) {
+    return { fn: "defenders", square: x.square };
+  }
+  return { fn: "defenders", square: x.square, pieces: `[${pieces.join("")}]${px.squares ?? ""}` };
+}
+
+function parseSetText(text) {
+  const m = /^(?:\[([A-Za-z]+)\]|([A-Za-z]))(.*)$/.exec(text);
+  if (!m) return null;
+  const letters = [...(m[1] ?? m[2])];
+  return { letters, white: isWhite(letters[0]), squares: m[3] || null };
+}
+
+function refable(d) {
+  return d.type === "Designator" && d.pieces && d.squares;
+}
+
+/**
+ * Designator node back to the JSON spelling ("[NB]d3", "N[d3,e2]", "a").
+ */
+function designatorText(d) {
+  const p = d.pieces.length === 1 ? d.pieces[0] : `[${d.pieces.join("")}]`;
+  if (!d.squares) return p;
+  return d.squares.length === 1 ? `${p}${d.squares[0]}` : `${p}[${d.squares.join(",")}]`;
+}
+
+function isWhite(ch) {
+  return ch === ch.toUpperCase();
+}
+
+/* ---------------- grammar tables ---------------- */
+
+const COMP_OPS = [">=", "<=", "==", "!=", ">", "<"];
+const SQUARE_RE = /^[a-h][1-8]$/;
+// A piece letter (or _, the empty square) with an optional square, or a bare square.
+const DESIGNATOR_WORD_RE = /^([PNBRQKpnbrqkAa_])?([a-h][1-8])?$/;
+
+function syntaxError(message, tok) {
+  const found = tok.type === "eof" ? ", found end of input" : tok.type === "text" ? "" : `, found "${tok.value}"`;
+  const e = new Error(`line ${tok.line}, column ${tok.column}: ${message}${found}`);
+  e.name = "CqlSyntaxError";
+  e.line = tok.line;
+  e.column = tok.column;
+  return e;
+}
+
+/* ---------------- tokenizer ---------------- */
+
+const PUNCT = ["-->", ">=", "<=", "==", "!=", ">", "<", "{", "}", "(", ")", "[", "]", ",", ".", "#", "+", "-", "="];
+
+function tokenize(src) {
+  const tokens = [];
+  const comments = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const push = (type, value, start) =>
+    tokens.push({ type, value, start, end: i, line, column: start - lineStart + 1 });
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === "\n") {
+      i++;
+      line++;
+      lineStart = i;
+      continue;
+    }
+    if (ch === " " || ch === "\t" || ch === "\r") {
+      i++;
+      continue;
+    }
+    if (src.startsWith("//", i)) {
+      const end = src.indexOf("\n", i);
+      const stop = end < 0 ? src.length : end;
+      comments.push({ text: src.slice(i + 2, stop).trim(), line });
+      i = stop;
+      continue;
+    }
+
+    const start = i;
+
+    if (/[A-Za-z_]/.test(ch)) {
+      while (i < src.length && /[A-Za-z0-9_]/.test(src[i])) i++;
+      push("word", src.slice(start, i), start);
+      continue;
+    }
+    const result = tokens.at(-1)?.value === "result" && /^(?:1-0|0-1|1\/2-1\/2)/.exec(src.slice(i));
+    if (result) {
+      i += result[0].length;
+      push("result", result[0], start);
+      continue;
+    }
+    if (/[0-9]/.test(ch)) {
+      while (i < src.length && /[0-9]/.test(src[i])) i++;
+      push("number", src.slice(start, i), start);
+      continue;
+    }
+    if (ch === '"') {
+      let value = "";
+      i++;
+      while (i < src.length && src[i] !== '"' && src[i] !== "\n") {
+        if (src[i] === "\\" && i + 1 < src.length) {
+          const esc = src[i + 1];
+          value += esc === "n" ? "\n" : esc === "t" ? "\t" : esc;
+          i += 2;
+        } else value += src[i++];
+      }
+      if (src[i] !== '"') throw syntaxError("unterminated string", { type: "text", line, column: start - lineStart + 1 });
+      i++;
+      push("string", value, start);
+      continue;
+    }
+
+    const punct = PUNCT.find((p) => src.startsWith(p, i));
+    if (!punct) {
+      throw syntaxError(`unexpected character "${ch}"`, { type: "text", line, column: start - lineStart + 1 });
+    }
+    i += punct.length;
+    push("punct", punct, start);
+  }
+
+  tokens.push({ type: "eof", value: "", start: i, end: i, line, column: i - lineStart + 1 });
+  return { tokens, comments };
+}
@@ -0,0 +1,400 @@
+// cql_parser.test.js
+import { readFileSync, readdirSync } from "node:fs";
+import { parseCql, cqlToQuery } from "./cql_parser.js";
+import { queryToCql } from "./cql_compiler.js";
+import { evaluateQuery } from "./chess_query.js";
+
+/* ---------------- minimal zero-dep test harness ---------------- */
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  expected: ${expected}\n  got: ${actual}`);
+  }
+}
+
+const read = (path) => readFileSync(new URL(path, import.meta.url), "utf8");
+const json = (v) => JSON.stringify(v);
+
+function runAstTest({ name, source, check }) {
+  check(parseCql(source), name);
+  console.log(`✅ ${name}`);
+}
+
+function runSyntaxErrorTest({ name, source, message, line, column }) {
+  let thrown = null;
+  try {
+    parseCql(source);
+  } catch (e) {
+    thrown = e;
+  }
+  assertEqual(thrown?.name, "CqlSyntaxError", `❌ ${name} (throws)`);
+  assertEqual(thrown.message, message, `❌ ${name} (message)`);
+  assertEqual(`${thrown.line}:${thrown.column}`, `${line}:${column}`, `❌ ${name} (position)`);
+  console.log(`✅ ${name}`);
+}
+
+function runConvertTest({ name, source, query, warnings = [], errors }) {
+  let got = null;
+  let thrown = null;
+  try {
+    got = cqlToQuery(source);
+  } catch (e) {
+    thrown = e;
+  }
+  if (errors) {
+    assertEqual(thrown !== null, true, `❌ ${name} (throws)`);
+    assertEqual((thrown.errors ?? []).join("\n"), errors.join("\n"), `❌ ${name} (errors)`);
+  } else {
+    if (thrown) throw new Error(`❌ ${name}\n  threw: ${thrown.message}`);
+    assertEqual(json(got.query), json(query), `❌ ${name}`);
+    assertEqual(got.warnings.join("\n"), warnings.join("\n"), `❌ ${name} (warnings)`);
+  }
+  console.log(`✅ ${name}`);
+}
+
+/* ---------------- parsing ---------------- */
+
+const astTests = [
+  {
+    name: "ast: research/cqltest.cql (initial + find)",
+    source: read("./research/cqltest.cql"),
+    check(ast, name) {
+      const [initial, find] = ast.blocks;
+      assertEqual(ast.blocks.length, 2, `❌ ${name} (blocks)`);
+      assertEqual(json(initial.pieces.map((p) => p.name)), json(["white_knight_1", "white_knight_2", "white_bishop_1", "white_bishop_2"]), `❌ ${name} (pieces)`);
+      assertEqual(json(initial.pieces[0].designator.loc), json({ line: 4, column: 26 }), `❌ ${name} (loc)`);
+      assertEqual(json(find.body.slice(0, 2).map((s) => [s.kind, s.cmp, s.value])), json([["movenumber", ">=", 6], ["wtm", null, null]]), `❌ ${name} (constraints)`);
+
+      const mobility = find.body[2];
+      assertEqual(mobility.type, "Assign", `❌ ${name} (assign)`);
+      assertEqual(json(mobility.value.terms[0].term.from), json({ type: "Ident", name: "white_knight_1", loc: { line: 18, column: 46 } }), `❌ ${name} (mobility)`);
+
+      const chain = find.body.find((s) => s.type === "If");
+      assertEqual(chain.branches.length, 2, `❌ ${name} (else if)`);
+      assertEqual(chain.otherwise.length, 3, `❌ ${name} (else)`);
+      assertEqual(chain.branches[1].condition.type, "Or", `❌ ${name} (condition)`);
+      const sum = chain.branches[1].condition.filters[1].right;
+      assertEqual(json(sum.terms.map((t) => [t.sign, t.term.type])), json([[1, "Ident"], [1, "Number"]]), `❌ ${name} (sum)`);
+    },
+  },
+  {
+    name: "ast: query filters and designators",
+    source: `cql()
+
+// Greek gift
+line
+  --> { Bd3 not [nb][d3,f3] (kg8 or kh8) }
+  --> {
+    [Bb]h7
+    check
+    xray (Qd1 [Aa] qd8)
+    pin from Bb5 through nc6 to [qr]
+    { #(a attacks g5) + 1 <= power A - 2 }
+  }
+`,
+    check(ast, name) {
+      const [line] = ast.blocks;
+      assertEqual(line.type, "Line", `❌ ${name} (line)`);
+      assertEqual(json(ast.comments), json([{ text: "Greek gift", line: 3 }]), `❌ ${name} (comments)`);
+
+      const [bd3, not, or] = line.steps[0].filters;
+      assertEqual(json([bd3.pieces, bd3.squares]), json([["B"], ["d3"]]), `❌ ${name} (Bd3)`);
+      assertEqual(json([not.type, not.filter.pieces, not.filter.squares]), json(["Not", ["n", "b"], ["d3", "f3"]]), `❌ ${name} (set)`);
+      assertEqual(json(or.filters.map((f) => f.squares[0])), json(["g8", "h8"]), `❌ ${name} (or)`);
+
+      const [mover, check, xray, pin, compound] = line.steps[1].filters;
+      assertEqual(json([mover.pieces, mover.loc]), json([["B", "b"], { line: 7, column: 5 }]), `❌ ${name} (mover)`);
+      assertEqual(check.name, "check", `❌ ${name} (check)`);
+      assertEqual(json(xray.through.pieces), json(["A", "a"]), `❌ ${name} (xray)`);
+      assertEqual(json(pin.to.pieces), json(["q", "r"]), `❌ ${name} (pin)`);
+      const cmp = compound.filters[0];
+      assertEqual(cmp.cmp, "<=", `❌ ${name} (compare)`);
+      assertEqual(json(cmp.right.terms.map((t) => [t.sign, t.term.type])), json([[1, "Power"], [-1, "Number"]]), `❌ ${name} (terms)`);
+    },
+  },
+  {
+    name: "ast: cql(...) words, flipcolor, result, empty squares and dark sets",
+    source: "cql(quiet)\nflipcolor {\n  {result 1-0}\n  [p_]f7 not b dark N\n  { movenumber < 21 }\n}\n",
+    check(ast, name) {
+      assertEqual(json(ast.params), json(["quiet"]), `❌ ${name} (params)`);
+      const [flip] = ast.blocks;
+      assertEqual(json([flip.type, flip.filter.type]), json(["Flipcolor", "Compound"]), `❌ ${name} (flipcolor)`);
+      const [result, empty, not, dark, moveNumber] = flip.filter.filters;
+      assertEqual(json([result.type, result.filters[0].type, result.filters[0].value]), json(["Compound", "Result", "1-0"]), `❌ ${name} (result)`);
+      assertEqual(json([empty.pieces, empty.squares]), json([["p", "_"], ["f7"]]), `❌ ${name} (empty square)`);
+      assertEqual(json([not.type, not.filter.pieces]), json(["Not", ["b"]]), `❌ ${name} (not b)`);
+      assertEqual(json([dark.type, dark.color, dark.of.pieces]), json(["SquareColor", "dark", ["N"]]), `❌ ${name} (dark N)`);
+      assertEqual(json(moveNumber.filters.map((f) => [f.type, f.kind, f.cmp, f.value])), json([["Constraint", "movenumber", "<", 21]]), `❌ ${name} (movenumber)`);
+    },
+  },
+  {
+    name: "ast: cql/weakd4.cql (a line inside a compound, any-move step)",
+    source: read("./cql/weakd4.cql"),
+    check(ast, name) {
+      const [block] = ast.blocks;
+      const [line] = block.filters;
+      assertEqual(json([block.type, line.type, line.steps.length]), json(["Compound", "Line", 3]), `❌ ${name} (line)`);
+      assertEqual(json([line.steps[1].type, line.steps[1].name]), json(["Keyword", "move"]), `❌ ${name} (move step)`);
+      assertEqual(json(line.steps[2].filters.map((f) => f.type)), json(["Not", "SquareColor", "Not"]), `❌ ${name} (last step)`);
+    },
+  },
+];
+
+const syntaxErrorTests = [
+  {
+    name: "syntax: a piece designator as an if condition is outside the subset",
+    source: "cql()\nfind all quiet {\n  if (pf7 and ph7) then {\n    x = 1\n  }\n}\n",
+    message: 'line 3, column 11: expected a comparison (>= <= == != > <), found "and"',
+    line: 3,
+    column: 11,
+  },
+  {
+    name: "syntax: result needs a game result",
+    source: "cql()\n{ result 2-0 }\n",
+    message: 'line 2, column 10: expected a result (1-0, 0-1 or 1/2-1/2), found "2"',
+    line: 2,
+    column: 10,
+  },
+  {
+    name: "syntax: if without then",
+    source: "cql()\nfind all quiet {\n  if (x > 1) {\n    y = 2\n  }\n}\n",
+    message: 'line 3, column 14: expected "then", found "{"',
+    line: 3,
+    column: 14,
+  },
+  {
+    name: "syntax: initial needs a concrete piece",
+    source: "cql()\ninitial {\n  piece x = Ab1\n}\n",
+    message: 'line 3, column 13: expected a piece letter and a square, e.g. Nb1, found "Ab1"',
+    line: 3,
+    column: 13,
+  },
+  {
+    name: "syntax: unterminated string",
+    source: 'cql()\nfind all quiet {\n  comment("abc)\n}\n',
+    message: "line 3, column 11: unterminated string",
+    line: 3,
+    column: 11,
+  },
+  {
+    name: "syntax: stray character",
+    source: "cql()\n{ Nf3 @ }\n",
+    message: 'line 2, column 7: unexpected character "@"',
+    line: 2,
+    column: 7,
+  },
+  {
+    name: "syntax: unclosed count",
+    source: "cql()\n{ #(N attacks e5 }\n",
+    message: 'line 2, column 18: expected ")", found "}"',
+    line: 2,
+    column: 18,
+  },
+  {
+    name: "syntax: missing block end",
+    source: "cql()\n{\n  Bd3\n",
+    message: "line 4, column 1: expected a filter, found end of input",
+    line: 4,
+    column: 1,
+  },
+];
+
+/* ---------------- conversion ---------------- */
+
+const convertTests = [
+  {
+    name: "convert: line with moves, groups and counts",
+    source: `cql()
+
+// Greek gift
+line
+  --> {
+    wtm
+    Bd3
+    not { Bd3 attacks ph7 }
+    (kg8 or kh8)
+    N
+  }
+  --> { [Bb]h7 check }
+  --> kh7
+  --> {
+    Ng5
+    check
+    Ng5 attacks k
+    { #(A attacks Ae5) + #(a attacks ae5) > #[NB] - 1 }
+    { (move legal from N[f3,g5] count) >= 5 }
+  }
+  --> [Kk][c1,c8]
+`,
+    query: {
+      name: "Greek gift",
+      predicates: [
+        { op: "at", piece: { ref: "Bd3" } },
+        { op: "attacks", attacker: { ref: "Bd3" }, target: { ref: "ph7" }, assert: false },
+        { op: "or", predicates: [{ op: "at", piece: { ref: "kg8" } }, { op: "at", piece: { ref: "kh8" } }] },
+        { op: "compare", left: { fn: "count", pieces: "N" }, cmp: ">=", right: 1 },
+        { op: "move", san: "Bh7+" },
+        { op: "move", san: "Kh7" },
+        { op: "move", san: "Ng5+" },
+        { op: "checks", attacker: { ref: "Ng5" } },
+        { op: "compare", left: { fn: "defenders", square: "e5" }, cmp: ">", right: { fn: "count", pieces: "[NB]", plus: -1 } },
+        { op: "compare", left: { fn: "mobility", pieces: "N[f3,g5]" }, cmp: ">=", right: 5 },
+        { op: "move", san: "O-O-O" },
+      ],
+    },
+    warnings: ["6:5: wtm has no JSON equivalent (set the side to move in the fen); dropped"],
+  },
+  {
+    name: "convert: xray, pin and double negation",
+    source: "cql()\n{\n  xray (Qd1 [Aa] qd8)\n  xray (Rd1 [NB] qd8)\n  pin from Bb5 through nc6 to q\n  not not Pe4\n  not { pf7 pg7 }\n}\n",
+    query: {
+      predicates: [
+        { op: "xrays", attacker: { ref: "Qd1" }, target: { ref: "qd8" } },
+        { op: "xrays", attacker: { ref: "Rd1" }, target: { ref: "qd8" }, through: "[NB]" },
+        { op: "pins", pinner: { ref: "Bb5" }, pinned: { ref: "nc6" }, to: "q" },
+        { op: "at", piece: { ref: "Pe4" } },
+        { op: "and", predicates: [{ op: "at", piece: { ref: "pf7" } }, { op: "at", piece: { ref: "pg7" } }], assert: false },
+      ],
+    },
+  },
+  {
+    name: "convert: refuses what JSON cannot express, by line:column",
+    source: "cql()\nline\n  --> { check Nf3 attacks e5 }\n  --> { Nf3 attacks e5 }\n  --> { { #(dark P) == 2 } }\nline --> .\n",
+    errors: [
+      "3:9: check is only supported right after a move in a line",
+      "3:15: attacks needs a piece and squares on both sides",
+      "4:7: a line step must start with the moved piece on its destination",
+      "5:7: a line step must start with the moved piece on its destination",
+      "6:1: only one line can become a query",
+    ],
+  },
+  {
+    name: "convert: initial / find only is not a query",
+    source: read("./research/cqltest.cql"),
+    errors: ["1:1: no query filters to convert"],
+  },
+];
+
+/* ---------------- the repo's own .cql files ---------------- */
+
+// Every .cql file in the repo, and how far it gets: a syntax error
+// (outside the subset), conversion errors, or a query. CL.cql and
+// greekgiftvariant.cql are find programs (functions, square loops, piece
+// tests in if conditions) and stay outside the subset.
+const ITALIAN_FEN = "r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4";
+
+const repoFileTests = [
+  {
+    path: "research/CL.cql",
+    syntax: 'line 5, column 1: expected "initial", "find", "line", "flipcolor" or "{", found "function"',
+  },
+  {
+    path: "research/greekgiftvariant.cql",
+    syntax: 'line 23, column 11: expected a comparison (>= <= == != > <), found "and"',
+  },
+  {
+    path: "research/cqltest.cql",
+    errors: ["1:1: no query filters to convert"],
+  },
+  {
+    path: "cql/weakd4.cql",
+    errors: [
+      "28:3: move (any move) has no JSON equivalent; a line step must start with the moved piece on its destination",
+      "30:3: a line step must start with the moved piece on its destination",
+    ],
+  },
+  {
+    path: "bishop sac f7.cql",
+    query: {
+      predicates: [
+        { op: "compare", left: { fn: "power", pieces: "A" }, cmp: "<=", right: { fn: "power", pieces: "a", plus: 1 } },
+        { op: "or", predicates: [{ op: "at", piece: { ref: "pf7" } }, { op: "at", piece: { ref: "[Aa]f7" }, assert: false }] },
+        { op: "move", san: "Bf7" },
+        { op: "move", san: "Kf7" },
+      ],
+    },
+    warnings: [
+      "3:1: flipcolor has no JSON equivalent; only the colors as written are converted",
+      "4:6: result has no JSON equivalent (it depends on the game, not the position); dropped",
+      "6:9: wtm has no JSON equivalent (set the side to move in the fen); dropped",
+      "6:14: movenumber has no JSON equivalent (it depends on the game, not the position); dropped",
+    ],
+    fen: ITALIAN_FEN, // Bxf7+ Kxf7 is on
+  },
+];
+
+function runRepoFileTest({ path, syntax, errors, query, warnings = [], fen }) {
+  const name = `repo file: ${path}`;
+  const source = read(`./${path}`);
+  if (syntax) {
+    const [, line, column] = /^line (\d+), column (\d+)/.exec(syntax);
+    runSyntaxErrorTest({ name, source, message: syntax, line: Number(line), column: Number(column) });
+    return;
+  }
+  runConvertTest({ name, source, query, warnings, errors });
+  if (fen) {
+    const res = evaluateQuery(fen, cqlToQuery(source).query);
+    assertEqual(`${res.matched}/${res.total}`, `${res.total}/${res.total}`, `❌ ${name} (matches ${fen})`);
+  }
+}
+
+function runRepoFileCoverage() {
+  const cqlFiles = (dir) => readdirSync(new URL(dir, import.meta.url)).filter((f) => f.endsWith(".cql")).map((f) => (dir === "./" ? f : `${dir.slice(2)}${f}`));
+  const onDisk = [...cqlFiles("./"), ...cqlFiles("./cql/"), ...cqlFiles("./research/")].sort();
+  assertEqual(json(repoFileTests.map((t) => t.path).sort()), json(onDisk), "❌ repo files (every .cql file has an expectation)");
+  console.log(`✅ repo files: all ${onDisk.length} .cql files covered`);
+}
+
+/* ---------------- round trip through queryToCql ---------------- */
+
+function runRoundTripTests() {
+  const corpus = JSON.parse(read("./universalquery_tests.json"));
+  let n = 0;
+  let skipped = 0;
+  for (const t of corpus.tests) {
+    let cql;
+    try {
+      ({ cql } = queryToCql(t.query));
+    } catch (e) {
+      // geometry, illegal-move probes: no CQL form. Anything else is a bug.
+      const refusals = e.errors ?? [e.message];
+      assertEqual(refusals.every((m) => m.endsWith("has no CQL equivalent")), true, `❌ round trip ${t.name} (compile)\n  ${refusals.join("\n  ")}`);
+      skipped++;
+      continue;
+    }
+    const { query } = cqlToQuery(cql);
+    const res = evaluateQuery(t.query.fen, query);
+    const before = evaluateQuery(t.query.fen, t.query);
+    assertEqual(res.valid, true, `❌ round trip ${t.name} (valid)`);
+    // Steps may merge, so compare misses: none, or a known conflict's.
+    assertEqual(res.total - res.matched, before.total - before.matched, `❌ round trip ${t.name} (misses)`);
+    n++;
+  }
+  console.log(`✅ round trip: ${n} corpus queries survive queryToCql -> cqlToQuery (${skipped} have no CQL form)`);
+}
+
+/* ---------------- runner ---------------- */
+
+let passed = 0;
+const run = (fn, t) => {
+  try {
+    fn(t);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+};
+
+for (const t of astTests) run(runAstTest, t);
+for (const t of syntaxErrorTests) run(runSyntaxErrorTest, t);
+for (const t of convertTests) run(runConvertTest, t);
+for (const t of repoFileTests) run(runRepoFileTest, t);
+run(runRepoFileCoverage);
+run(runRoundTripTests);
+
+const total = astTests.length + syntaxErrorTests.length + convertTests.length + repoFileTests.length + 2;
+console.log(`\n${passed}/${total} tests passed`);
+
+if (passed !== total) {
+  process.exit(1);
+}
@@ -5,12 +5,31 @@
 //   - EVALS (named)
 //   - default (same array)
 //
-// Depends only on chess.js (module) at ./third_party/chess.js
+// Depends on chess.js (module) at ./third_party/chess.js, ./geometry.js and ./squareset.js
 // Provides VERY VERBOSE logging via an optional ctx argument.
 //
-// Each eval entry: { id, name, description, run(pgn, ctx?) -> string | {pgn, meta?} }
+// Each eval entry is either
+//   v1: { id, name, description, params?, run(pgn, ctx?) -> string | {pgn, meta?} }
+//   v2: { id, name, description, contract: 2, params, evaluate(game, params, ctx) -> {plies, headers?, meta?} }
+// Callers go through runEval(entry, pgn, { params, ctx }); see "Eval contract v2".
+// PieceTracker (also exported) gives evals stable piece IDs across a game.
 
 import { Chess } from "./third_party/chess.js";
+import {
+  KING_ATTACKS,
+  PIECE_VALUES,
+  attacksFrom,
+  attackersTo,
+  backwardPawns,
+  doubledPawns,
+  holes,
+  isolatedPawns,
+  occupancyFromBoard,
+  positionFromFen,
+  squareToIndex,
+  staticExchange,
+} from "./geometry.js";
+import { DARK, LIGHT, down, fileMask, flipVertical, fromSquares, has, popcount, toSquares, up } from "./squareset.js";
 
 /* -----------------------------
  * Logging / string utils
@@ -135,7 +154,7 @@ function splitHeadersAndMovetext(pgn) {
 }
 
 function tokenizeMovetext(movesText) {
-  const re = /\{[^}]*\}|\d+\.(?:\.\.)?|1-0|0-1|1\/2-1\/2|\*|\S+/g;
+  const re = /\{[^}]*\}|[()]|\$\d+|\d+\.(?:\.\.)?|1-0|0-1|1\/2-1\/2|\*|[^\s(){}]+/g;
   const toks = [];
   let m;
   while ((m = re.exec(movesText)) !== null) toks.push(m[0]);
@@ -151,32 +170,58 @@ function isResultTok(tok) {
 function isCommentTok(tok) {
   return tok.startsWith("{") && tok.endsWith("}");
 }
+// NAGs ($1) and stand-alone !, ?, !? annotate the move before them.
+function isNagTok(tok) {
+  return /^(\$\d+|[!?]+)$/.test(tok);
+}
 
+// Main-line plies only: variations are copied through untouched, and a
+// ply's insertions go after its NAGs, before any comment or variation.
+// injectionsByPly[0] goes before the first move. chess.js reads a single
+// comment per move, so comments that end up side by side are merged.
 function rebuildMovetextWithInsertions(tokens, injectionsByPly) {
   let ply = 0;
+  let depth = 0;
+  let pending = injectionsByPly[0];
   const out = [];
+  const push = (tok) => {
+    const last = out[out.length - 1];
+    if (depth === 0 && isCommentTok(tok) && last && isCommentTok(last)) {
+      out[out.length - 1] = `{ ${last.slice(1, -1).trim()}\n${tok.slice(1, -1).trim()} }`;
+    } else {
+      out.push(tok);
+    }
+  };
+  const flush = () => {
+    if (pending && pending.length) for (const c of pending) push(c);
+    pending = null;
+  };
+
   for (const tok of tokens) {
-    out.push(tok);
+    if (depth === 0 && isNagTok(tok)) {
+      out.push(tok);
+      continue;
+    }
+    flush();
+    if (tok === "(") depth++;
+    if (tok === ")") depth = Math.max(0, depth - 1);
+    if (depth > 0 || tok === ")") {
+      out.push(tok);
+      continue;
+    }
+    if (isResultTok(tok)) break;
+    push(tok);
 
     if (isCommentTok(tok)) continue;
     if (isMoveNumberTok(tok)) continue;
-    if (isResultTok(tok)) break;
 
     ply++;
-    const inject = injectionsByPly[ply];
-    if (inject && inject.length) for (const c of inject) out.push(c);
+    pending = injectionsByPly[ply];
   }
+  flush();
   return out.join(" ");
 }
 
-function insertDrawTagsNearStart(pgn, tags) {
-  const txt = String(pgn ?? "").replace(/\r/g, "");
-  const insert = `{ ${tags} }\n\n`;
-  const idx = txt.indexOf("\n\n");
-  if (idx >= 0) return txt.slice(0, idx + 2) + insert + txt.slice(idx + 2);
-  return insert + txt;
-}
-
 /* -----------------------------
  * chess.js loadPgn() return value varies by build (often undefined on success).
  * So "parse ok" = "didn't throw" AND (movetext empty OR history().length > 0).
@@ -226,54 +271,32 @@ function squareColorName(sq) {
   return (f + r) % 2 === 0 ? "dark" : "light";
 }
 
-function rayClear(ff, fr, tf, tr, board) {
-  const stepF = Math.sign(tf - ff);
-  const stepR = Math.sign(tr - fr);
-  let f = ff + stepF;
-  let r = fr + stepR;
-
-  while (f !== tf || r !== tr) {
-    if (!inBounds(f, r)) return false;
-    const row = 7 - r;
-    if (board[row][f]) return false;
-    f += stepF;
-    r += stepR;
-  }
-  return true;
+function squareBit(sq) {
+  return 1n << BigInt(rankIndex(sq) * 8 + fileIndex(sq));
 }
 
-function pieceAttacksSquare(fromSq, type, color, targetSq, board) {
-  const ff = fileIndex(fromSq),
-    fr = rankIndex(fromSq);
-  const tf = fileIndex(targetSq),
-    tr = rankIndex(targetSq);
-  const df = tf - ff,
-    dr = tr - fr;
-
-  if (type === "p") {
-    const dir = color === "w" ? 1 : -1;
-    return dr === dir && (df === 1 || df === -1);
-  }
-  if (type === "n") {
-    const a = Math.abs(df),
-      b = Math.abs(dr);
-    return (a === 1 && b === 2) || (a === 2 && b === 1);
-  }
-  if (type === "k") return Math.abs(df) <= 1 && Math.abs(dr) <= 1;
-
-  const isDiag = Math.abs(df) === Math.abs(dr) && df !== 0;
-  const isOrtho = (df === 0 && dr !== 0) || (dr === 0 && df !== 0);
-
-  if (type === "b") return isDiag && rayClear(ff, fr, tf, tr, board);
-  if (type === "r") return isOrtho && rayClear(ff, fr, tf, tr, board);
-  if (type === "q") return (isDiag || isOrtho) && rayClear(ff, fr, tf, tr, board);
-
-  return false;
+/**
+ * Static exchange on targetSq with `color` capturing first:
+ * { gain, line } where line reads like "Nxe5 dxe5" (empty if no capture).
+ */
+function seeOn(chess, targetSq, color) {
+  const { gain, captures } = staticExchange(positionFromFen(chess.fen()), targetSq, color);
+  const line = captures
+    .map((c) => (c.type === "p" ? c.from[0] : c.type.toUpperCase() + c.from) + "x" + targetSq)
+    .join(" ");
+  return { gain, line };
 }
 
 function countAttackers(chess, targetSq, color) {
+  return listAttackers(chess, targetSq, color).length;
+}
+
+// Pieces of `color` attacking targetSq: [{ type, square }], board order.
+function listAttackers(chess, targetSq, color) {
   const board = chess.board();
-  let count = 0;
+  const occupancy = occupancyFromBoard(board);
+  const target = squareBit(targetSq);
+  const out = [];
 
   for (let r = 0; r < 8; r++) {
     for (let f = 0; f < 8; f++) {
@@ -282,14 +305,14 @@ function countAttackers(chess, targetSq, color) {
       if (!p) continue;
       if (p.color !== color) continue;
 
-      const fromSq = sqOf(f, r);
-      if (pieceAttacksSquare(fromSq, p.type, p.color, targetSq, board)) count++;
+      if (attacksFrom(p.type, p.color, sqOf(f, r), occupancy) & target) out.push({ type: p.type, square: sqOf(f, r) });
     }
   }
-  return count;
+  return out;
 }
 
-function listMinors(chess, color) {
+// Pieces of `color` whose type is in `types` (e.g. "nb"), sorted by square.
+function listPieces(chess, color, types) {
   const board = chess.board();
   const out = [];
   for (let r = 0; r < 8; r++) {
@@ -297,7 +320,7 @@ function listMinors(chess, color) {
       const p = board[r][f];
       if (!p) continue;
       if (p.color !== color) continue;
-      if (p.type !== "n" && p.type !== "b") continue;
+      if (!types.includes(p.type)) continue;
       const sq = FILES[f] + String(8 - r);
       out.push({ type: p.type, color: p.color, square: sq });
     }
@@ -329,11 +352,24 @@ function knightMobility(chess, sq, color) {
   return c;
 }
 
+const DIAGONAL_DIRS = [
+  [1, 1],[1, -1],[-1, 1],[-1, -1],
+];
+const ORTHOGONAL_DIRS = [
+  [1, 0],[-1, 0],[0, 1],[0, -1],
+];
+
 function bishopMobility(chess, sq, color) {
+  return lineMobility(chess, sq, color, DIAGONAL_DIRS);
+}
+
+function rookMobility(chess, sq, color) {
+  return lineMobility(chess, sq, color, ORTHOGONAL_DIRS);
+}
+
+// Empty squares along the rays plus a first enemy blocker.
+function lineMobility(chess, sq, color, dirs) {
   const board = chess.board();
-  const dirs = [
-    [1, 1],[1, -1],[-1, 1],[-1, -1],
-  ];
   let total = 0;
   for (const [df, dr] of dirs) {
     let f = fileIndex(sq) + df;
@@ -369,6 +405,22 @@ function countOwnPawnsOnColor(chess, color, colorName) {
   return n;
 }
 
+function countPawnsOnFile(chess, file, color) {
+  let n = 0;
+  for (let r = 1; r <= 8; r++) {
+    const p = chess.get(file + r);
+    if (p && p.type === "p" && p.color === color) n++;
+  }
+  return n;
+}
+
+// Rank 1..8 from `color`'s side of the board.
+function relativeRank(sq, color) {
+  return color === "w" ? rankIndex(sq) + 1 : 8 - rankIndex(sq);
+}
+
+const PIECE_NAMES = { p: "Pawn", n: "Knight", b: "Bishop", r: "Rook", q: "Queen", k: "King" };
+
 function tagToName(tag) {
   if (tag === "G") return "GREEN";
   if (tag === "Y") return "YELLOW";
@@ -377,8 +429,37 @@ function tagToName(tag) {
   return String(tag);
 }
 
-function scoreOneMinor(chess, piece) {
+// Minors and heavy pieces share the safety checks (1)-(3) and the color cutoffs.
+function scorePiece(chess, piece, opts) {
   const reasons = [];
+  let score = scoreSafety(chess, piece, reasons);
+  score += piece.type === "n" || piece.type === "b"
+    ? scoreOneMinor(chess, piece, opts, reasons)
+    : scoreOneHeavy(chess, piece, opts, reasons);
+
+  let colorTag = "Y";
+  let colorName = "YELLOW";
+  if (score >= opts.greenScore) {
+    colorTag = "G";
+    colorName = "GREEN";
+  } else if (score <= opts.redScore) {
+    colorTag = "R";
+    colorName = "RED";
+  }
+
+  const what = piece.type === "n" || piece.type === "b" ? "minor" : PIECE_NAMES[piece.type].toLowerCase();
+  if (colorTag === "R") {
+    reasons.push(`TRADE PREDICTION: opponent is usually happy to exchange this ${what} if possible.`);
+  } else if (colorTag === "G") {
+    reasons.push(`TRADE PREDICTION: avoid trading this unless you win something concrete or improve structure.`);
+  } else {
+    reasons.push(`TRADE PREDICTION: depends—compare resulting pawn structure + remaining ${what === "minor" ? "minors" : "pieces"}.`);
+  }
+
+  return { score, colorTag, colorName, reasons };
+}
+
+function scoreSafety(chess, piece, reasons) {
   let score = 0;
 
   const color = piece.color;
@@ -388,12 +469,15 @@ function scoreOneMinor(chess, piece) {
   const oppAtt = countAttackers(chess, sq, opp);
   const myDef = countAttackers(chess, sq, color);
 
-  // (1) Loose / under-defended (catastrophic-ish)
-  if (oppAtt >= myDef + 1) {
+  // (1) Loose: the opponent wins material by exchanging on this square
+  //     (SEE: cheapest attacker first, x-rays included), not just "more
+  //     attackers than defenders".
+  const see = seeOn(chess, sq, opp);
+  if (see.gain > 0) {
     score -= 4;
-    reasons.push(`LOOSE: attacked ${oppAtt}, defended ${myDef} ⇒ tactical liability; opponent can often force trades/wins.`);
+    reasons.push(`LOOSE: ${see.line} wins ${see.gain} for the opponent (attacked ${oppAtt}, defended ${myDef}) ⇒ tactical liability.`);
   } else {
-    reasons.push(`Not loose: attacked ${oppAtt}, defended ${myDef}.`);
+    reasons.push(`Not loose: attacked ${oppAtt}, defended ${myDef}${see.line ? `; best exchange ${see.line} nets ${see.gain}` : ""}.`);
   }
 
   // (2) Tension / trade pressure
@@ -413,11 +497,19 @@ function scoreOneMinor(chess, piece) {
     reasons.push(`Not stable by this test (def=${myDef}, att=${oppAtt}).`);
   }
 
+  return score;
+}
+
+function scoreOneMinor(chess, piece, opts, reasons) {
+  let score = 0;
+  const color = piece.color;
+  const sq = piece.square;
+
   // (4) Bad bishop proxy
   if (piece.type === "b") {
     const bc = squareColorName(sq);
     const pawns = countOwnPawnsOnColor(chess, color, bc);
-    if (pawns >= 5) {
+    if (pawns >= opts.badBishopPawns) {
       score -= 2;
       reasons.push(`BAD BISHOP: own pawns on ${bc} squares=${pawns} ⇒ bishop may be restricted.`);
     } else {
@@ -442,180 +534,574 @@ function scoreOneMinor(chess, piece) {
   if (piece.type === "n") mob = knightMobility(chess, sq, color);
   else mob = bishopMobility(chess, sq, color);
 
-  if (mob >= 6) {
+  if (mob >= opts.mobilityActive) {
     score += 2;
     reasons.push(`MOBILITY: attacks ${mob} squares ⇒ active; opponent may prefer to trade it.`);
-  } else if (mob >= 3) {
+  } else if (mob >= opts.mobilityAverage) {
     reasons.push(`MOBILITY: attacks ${mob} squares ⇒ average.`);
   } else {
     score -= 1;
     reasons.push(`MOBILITY: attacks ${mob} squares ⇒ cramped; candidate to trade/improve.`);
   }
 
-  let colorTag = "Y";
-  let colorName = "YELLOW";
-  if (score >= 2) {
-    colorTag = "G";
-    colorName = "GREEN";
-  } else if (score <= -2) {
-    colorTag = "R";
-    colorName = "RED";
-  }
+  return score;
+}
 
-  if (colorTag === "R") {
-    reasons.push(`TRADE PREDICTION: opponent is usually happy to exchange this minor if possible.`);
-  } else if (colorTag === "G") {
-    reasons.push(`TRADE PREDICTION: avoid trading this unless you win something concrete or improve structure.`);
+function scoreOneHeavy(chess, piece, opts, reasons) {
+  let score = 0;
+  const color = piece.color;
+  const opp = color === "w" ? "b" : "w";
+  const sq = piece.square;
+
+  if (piece.type === "r") {
+    // (4) File
+    const own = countPawnsOnFile(chess, sq[0], color);
+    const theirs = countPawnsOnFile(chess, sq[0], opp);
+    if (!own && !theirs) {
+      score += 2;
+      reasons.push(`OPEN FILE: no pawns on the ${sq[0]}-file ⇒ rook has a highway; opponent may want to contest/trade it.`);
+    } else if (!own) {
+      score += 1;
+      reasons.push(`HALF-OPEN FILE: no own pawns on the ${sq[0]}-file ⇒ pressure on the enemy pawn there.`);
+    } else {
+      score -= 1;
+      reasons.push(`CLOSED FILE: own pawn on the ${sq[0]}-file ⇒ rook is passive until the file opens.`);
+    }
+
+    // (5) 7th rank: counts when it hits pawns there or cuts the king off
+    if (relativeRank(sq, color) === 7) {
+      const seventh = listPieces(chess, opp, "pk").filter((p) => rankIndex(p.square) === rankIndex(sq) || (p.type === "k" && relativeRank(p.square, color) === 8));
+      if (seventh.length) {
+        score += 2;
+        reasons.push(`ROOK ON THE 7TH: hits ${seventh.map((p) => p.type.toUpperCase() + p.square).join(", ")} ⇒ rarely worth trading.`);
+      } else {
+        reasons.push(`Rook on the 7th, but no pawns or king there to bite on.`);
+      }
+    }
+
+    // (6) Mobility (rook range is about twice a minor's)
+    const mob = rookMobility(chess, sq, color);
+    if (mob >= 2 * opts.mobilityActive) {
+      score += 1;
+      reasons.push(`MOBILITY: rook reaches ${mob} squares ⇒ active.`);
+    } else if (mob < opts.mobilityAverage) {
+      score -= 1;
+      reasons.push(`MOBILITY: rook reaches ${mob} squares ⇒ boxed in.`);
+    } else {
+      reasons.push(`MOBILITY: rook reaches ${mob} squares ⇒ average.`);
+    }
   } else {
-    reasons.push(`TRADE PREDICTION: depends—compare resulting pawn structure + remaining minors.`);
+    // (4) Exposure: any attacker is cheaper than a queen
+    const hunters = listAttackers(chess, sq, opp).filter((a) => a.type !== "q" && a.type !== "k");
+    if (hunters.length) {
+      score -= 3;
+      reasons.push(`QUEEN EXPOSED: attacked by ${hunters.map((a) => a.type.toUpperCase() + a.square).join(", ")} ⇒ she must move; tempo for the opponent.`);
+    } else {
+      reasons.push(`Queen not harassed by cheaper pieces.`);
+    }
+
+    // (5) Advanced and alone
+    if (relativeRank(sq, color) >= 5 && countAttackers(chess, sq, color) === 0) {
+      score -= 1;
+      reasons.push(`QUEEN ADVANCED: undefended in the enemy half ⇒ target for tempo-gaining moves.`);
+    }
+
+    // (6) Mobility
+    const mob = bishopMobility(chess, sq, color) + rookMobility(chess, sq, color);
+    if (mob >= 3 * opts.mobilityActive) {
+      score += 1;
+      reasons.push(`MOBILITY: queen reaches ${mob} squares ⇒ dominant; opponent will offer trades.`);
+    } else {
+      reasons.push(`MOBILITY: queen reaches ${mob} squares.`);
+    }
   }
 
-  return { score, colorTag, colorName, reasons };
+  return score;
 }
 
 /* -----------------------------
- * Eval: mock (kept)
+ * Piece identity tracker
+ *
+ * Follows every piece through a game under a stable "fen-style" ID: the
+ * letter of its type (uppercase for White) and a number per color+type,
+ * given by square order in the start position (a1, b1, ..., h8). So in
+ * the initial position N1 = Nb1, N2 = Ng1, r2 = rh8, P5 = Pe2, K1 = Ke1.
+ * A promotion creates a new piece with the next free number (Q2, n3);
+ * numbers are never reused.
+ *
+ * Plies count like everywhere else in this file: ply 0 is the start
+ * position, ply N the position after the N-th move.
+ *
+ *   const t = PieceTracker.fromGame(loadGame(pgn));
+ *   t.squareOf("b2", 14);  // "e7", or null if it was gone by then
+ *   t.capture("b2");       // { by: "N2", ply: 23, square: "e7" } | null
+ *   t.moveCount("b2");     // moves it made (castling counts for K and R)
  * ----------------------------- */
 
-async function mockMinorPieceEval(inputPgn, ctx) {
-  logLine(ctx, "ok", `EVAL/mock: start`);
-  logBlock(ctx, "ok", "mock/input", inputPgn, 2500);
+export class PieceTracker {
+  /**
+   * Start tracking from a FEN (default: the initial position).
+   */
+  constructor(fen) {
+    const chess = fen ? new Chess(fen) : new Chess();
+    this.ply = 0;
+    for (const color of ["w", "b"]) {
+      for (const type of "pnbrqk") {
+        for (const p of listPieces(chess, color, type)) this.#add(color, type, p.square);
+      }
+    }
+  }
 
-  let out = ensureHeaders(inputPgn, {
-    Event: "Evaluated (mock)",
-    Annotator: "Priyome eval: mockMinorPiece",
-  });
+  // id -> { id, color, type, origin, promotedAt?, promotedFrom?, promotedTo?,
+  //         path: [[ply, square | null]], movedAt: [ply], capture }
+  #pieces = new Map();
+  #bySquare = new Map(); // square -> id, current position only
+  #nextNumber = Object.create(null);
+
+  /**
+   * Tracker replayed over a loadGame() result.
+   */
+  static fromGame(game) {
+    const t = new PieceTracker(game.startFen);
+    for (const mv of game.moves) t.apply(mv);
+    return t;
+  }
 
-  out = stripEndResultToken(out);
-  out = insertDrawTagsNearStart(out, `[%csl Re4,Yd4] [%cal Ge2e4]`);
+  #add(color, type, square, extra = {}) {
+    const key = color + type;
+    const n = (this.#nextNumber[key] ??= 1);
+    this.#nextNumber[key] = n + 1;
+    const id = `${color === "w" ? type.toUpperCase() : type}${n}`;
+    this.#pieces.set(id, { id, color, type, origin: square, ...extra, path: [[this.ply, square]], movedAt: [], capture: null });
+    this.#bySquare.set(square, id);
+    return id;
+  }
 
-  out = out.replace(/(1\.\s*\S+)(\s+)/, `$1 { mock: develop minors; avoid rim knights }$2`);
-  out = out.replace(/(2\.\s*\S+(?:\s+\S+)?)/, `$1 { mock: before trading minors, ask who gains activity/structure }`);
+  #place(id, square) {
+    const p = this.#pieces.get(id);
+    const from = p.path.at(-1)[1];
+    if (from && this.#bySquare.get(from) === id) this.#bySquare.delete(from);
+    p.path.push([this.ply, square]);
+    if (square) this.#bySquare.set(square, id);
+  }
 
-  out = ensureTrailingResult(out);
+  /**
+   * Advance one ply with a chess.js verbose move (history({ verbose: true })).
+   * Returns the IDs involved: { moved, captured, rook, promoted }.
+   * Throws if no tracked piece of the mover's color and type is on mv.from.
+   */
+  apply(mv) {
+    const moved = this.#bySquare.get(mv.from);
+    const p = moved && this.#pieces.get(moved);
+    if (!p || p.color !== mv.color || p.type !== mv.piece) {
+      throw new Error(`PieceTracker: no ${mv.color}${mv.piece} on ${mv.from} at ply ${this.ply} (${mv.san})`);
+    }
+    this.ply++;
 
-  logBlock(ctx, "ok", "mock/output", out, 4000);
-  return out;
+    let captured = null;
+    if (mv.captured) {
+      // En passant takes the pawn beside the destination, not on it.
+      const capSq = mv.flags.includes("e") ? mv.to[0] + mv.from[1] : mv.to;
+      captured = this.#bySquare.get(capSq) ?? null;
+      if (captured) {
+        this.#place(captured, null);
+        this.#pieces.get(captured).capture = { by: moved, ply: this.ply, square: capSq };
+      }
+    }
+
+    let rook = null;
+    if (mv.flags.includes("k") || mv.flags.includes("q")) {
+      const rank = mv.from[1];
+      const [from, to] = mv.flags.includes("k") ? ["h" + rank, "f" + rank] : ["a" + rank, "d" + rank];
+      rook = this.#bySquare.get(from) ?? null;
+      if (rook) {
+        this.#place(rook, to);
+        this.#pieces.get(rook).movedAt.push(this.ply);
+      }
+    }
+
+    p.movedAt.push(this.ply);
+    let promoted = null;
+    if (mv.promotion) {
+      this.#place(moved, null);
+      promoted = this.#add(mv.color, mv.promotion, mv.to, { promotedAt: this.ply, promotedFrom: moved });
+      p.promotedTo = promoted;
+    } else {
+      this.#place(moved, mv.to);
+    }
+
+    return { moved, captured, rook, promoted };
+  }
+
+  /**
+   * Where piece `id` stood after `ply` (default: now). null once it is
+   * captured or promoted, and before a promoted piece exists.
+   */
+  squareOf(id, ply = this.ply) {
+    const p = this.#pieces.get(id);
+    if (!p) return null;
+    let sq = null;
+    for (const [at, s] of p.path) {
+      if (at > ply) break;
+      sq = s;
+    }
+    return sq;
+  }
+
+  /**
+   * ID of the piece on `square` after `ply` (default: now), or null.
+   */
+  idAt(square, ply = this.ply) {
+    if (ply === this.ply) return this.#bySquare.get(square) ?? null;
+    for (const id of this.#pieces.keys()) {
+      if (this.squareOf(id, ply) === square) return id;
+    }
+    return null;
+  }
+
+  /**
+   * { by, ply, square } for a captured piece, else null.
+   */
+  capture(id) {
+    return this.#pieces.get(id)?.capture ?? null;
+  }
+
+  /**
+   * Moves piece `id` made up to `ply` (default: now).
+   */
+  moveCount(id, ply = this.ply) {
+    const p = this.#pieces.get(id);
+    return p ? p.movedAt.filter((at) => at <= ply).length : 0;
+  }
+
+  /**
+   * IDs on the board after `ply` (default: now), in ID order.
+   */
+  alive(ply = this.ply) {
+    return this.ids().filter((id) => this.squareOf(id, ply) !== null);
+  }
+
+  /**
+   * All IDs ever seen: White then Black, P N B R Q K, then number.
+   */
+  ids() {
+    const rank = (p) => (p.color === "w" ? 0 : 10) + "pnbrqk".indexOf(p.type);
+    return [...this.#pieces.values()]
+      .sort((a, b) => rank(a) - rank(b) || Number(a.id.slice(1)) - Number(b.id.slice(1)))
+      .map((p) => p.id);
+  }
+
+  /**
+   * { id, color, type, origin, promotedAt?, promotedFrom?, promotedTo? } or null.
+   */
+  info(id) {
+    const p = this.#pieces.get(id);
+    if (!p) return null;
+    const { path, movedAt, capture, ...rest } = p;
+    return rest;
+  }
 }
 
 /* -----------------------------
- * Eval: piecetrades (UPDATED per your rule)
+ * Eval contract v2
  *
- * ONLY stored state across plies:
- *   - "fen-style" piece id (e.g. B1, B2, N1, N2, b1, b2, n1, n2)
- *   - last known color for that piece
+ * A v2 entry declares its parameters and returns data, not movetext:
  *
- * Identity is tracked by move replay:
- *   - When a minor moves: find which ID sits on "from", move it to "to".
- *   - When a piece is captured on "to": remove any tracked minor on that square.
+ *   {
+ *     id, name, description,
+ *     contract: 2,
+ *     params: [
+ *       { key, label?, type: "integer" | "number" | "boolean" | "string" | "enum",
+ *         default, min?, max?, options? (enum), help? },
+ *     ],
+ *     evaluate(game, params, ctx) -> {
+ *       plies: [{ ply, text?, score?, squares?: [{ square, color }], arrows?: [{ from, to, color }] }],
+ *       headers?: { Name: "value" },
+ *       meta?: any,
+ *     }
+ *   }
  *
- * Coloring behavior:
- *   - Compute eval color each ply for each *alive* tracked minor.
- *   - If eval color changed from last color, update stored color and emit rationale.
- *   - If not changed, keep last color (even though eval was recomputed).
+ * game is loadGame(pgn): headers, start FEN, verbose moves and the FEN
+ * after every ply (fens[0] is the start). Ply 0 annotates the start
+ * position. Colors are the [%csl]/[%cal] letters G, R, B, Y.
  *
- * Tag output behavior:
- *   - Emit [%csl ...] every move from START_PLY onward.
- *   - The order is deterministic by ID order to avoid rendering weirdness.
+ * runEval() resolves params (defaults, coercion, range checks), also hands
+ * them over as ctx.params, and renders the plies as PGN comments with
+ * renderEvalPgn(). Entries without `contract` are v1: run(pgn, ctx)
+ * returning a PGN string or { pgn, meta }. A v1 entry may declare params
+ * too; they are resolved the same way and reach it as ctx.params.
  * ----------------------------- */
 
-async function pieceTradesEval(inputPgn, ctx) {
-  logLine(ctx, "ok", `EVAL/piecetrades: start`);
-  logBlock(ctx, "ok", "piecetrades/input", inputPgn, 2800);
-
-  let base = ensureHeaders(inputPgn, {
-    Event: "Evaluated (piecetrades)",
-    Annotator: "Priyome eval: piecetrades",
-  });
+export const EVAL_CONTRACT_VERSION = 2;
+
+const PARAM_TYPES = ["integer", "number", "boolean", "string", "enum"];
+const DRAW_COLORS = ["G", "R", "B", "Y"];
+
+/**
+ * Parse a PGN into the game object v2 evals receive. Throws if chess.js
+ * cannot read it.
+ */
+export function loadGame(pgn) {
+  const chess = new Chess();
+  if (!tryLoadPgn(chess, pgn, { sloppy: true })) throw new Error("Could not parse PGN");
+
+  const moves = chess.history({ verbose: true });
+  const headers = { ...chess.getHeaders() };
+  const walk = new Chess(moves.length ? moves[0].before : chess.fen());
+  const fens = [walk.fen()];
+  for (const mv of moves) {
+    walk.move(mv.san);
+    fens.push(walk.fen());
+  }
+  return { pgn: String(pgn), headers, startFen: fens[0], moves, fens };
+}
 
-  const check = new Chess();
-  const ok = tryLoadPgn(check, base, { sloppy: true });
-  logLine(ctx, ok ? "ok" : "err", `EVAL/piecetrades: input parse ok? ${ok}`);
-  logLine(ctx, "ok", `EVAL/piecetrades: input history length = ${check.history().length}`);
+/**
+ * Fill in defaults and coerce values (form inputs arrive as strings).
+ * Returns { params, errors } with errors as "key: message".
+ */
+export function resolveEvalParams(entry, values = {}) {
+  const params = {};
+  const errors = [];
+  const decl = Array.isArray(entry?.params) ? entry.params : [];
+
+  for (const p of decl) {
+    const raw = values[p.key];
+    const given = raw !== undefined && raw !== null && raw !== "";
+    let v = given ? raw : p.default;
+
+    switch (p.type) {
+      case "integer":
+      case "number":
+        v = Number(v);
+        if (!Number.isFinite(v) || (p.type === "integer" && !Number.isInteger(v))) {
+          errors.push(`${p.key}: expected ${p.type === "integer" ? "an integer" : "a number"}, got ${safeString(raw)}`);
+          continue;
+        }
+        if (p.min !== undefined && v < p.min) errors.push(`${p.key}: ${v} is below the minimum ${p.min}`);
+        if (p.max !== undefined && v > p.max) errors.push(`${p.key}: ${v} is above the maximum ${p.max}`);
+        break;
+      case "boolean":
+        v = v === true || v === "true" || v === "on";
+        break;
+      case "enum":
+        if (!(p.options ?? []).includes(v)) errors.push(`${p.key}: ${safeString(v)} is not one of ${(p.options ?? []).join(", ")}`);
+        break;
+      case "string":
+        v = String(v ?? "");
+        break;
+      default:
+        errors.push(`${p.key}: unknown param type ${safeString(p.type)} (expected one of ${PARAM_TYPES.join(", ")})`);
+    }
+    params[p.key] = v;
+  }
 
-  if (!ok) {
-    let fb =
-      `[Event "Evaluated (piecetrades) • PARSE FAILURE"]\n` +
-      `[Site "?"]\n` +
-      `[Date "${nowStamp()}"]\n` +
-      `[Round "-"]\n` +
-      `[White "?"]\n` +
-      `[Black "?"]\n` +
-      `[Result "*"]\n\n` +
-      `{ piecetrades: could not parse input PGN. First 800 chars:\n` +
-      `${escapeCommentBody(clip(base, 800))}\n}\n` +
-      `1. e4 e5 { [%csl Ye4] } *\n`;
-    fb = ensureTrailingResult(fb);
-    logBlock(ctx, "err", "piecetrades/fallback_output", fb, 2500);
-    return fb;
+  for (const key of Object.keys(values)) {
+    if (!decl.some((p) => p.key === key)) errors.push(`${key}: unknown param`);
   }
+  return { params, errors };
+}
+
+/**
+ * Check a v2 result; returns errors as "plies[3].squares[0].color: ...".
+ */
+export function validateEvalResult(result, plyCount) {
+  const errors = [];
+  if (!result || !Array.isArray(result.plies)) return ["plies: expected an array"];
+
+  result.plies.forEach((o, i) => {
+    const at = `plies[${i}]`;
+    if (!Number.isInteger(o?.ply) || o.ply < 0 || o.ply > plyCount) {
+      errors.push(`${at}.ply: expected an integer 0..${plyCount}, got ${safeString(o?.ply)}`);
+    }
+    if (o?.text !== undefined && typeof o.text !== "string") errors.push(`${at}.text: expected a string`);
+    if (o?.score !== undefined && !Number.isFinite(o.score)) errors.push(`${at}.score: expected a number`);
+    (o?.squares ?? []).forEach((s, j) => {
+      if (!/^[a-h][1-8]$/.test(s?.square ?? "")) errors.push(`${at}.squares[${j}].square: ${safeString(s?.square)} is not a square`);
+      if (!DRAW_COLORS.includes(s?.color)) errors.push(`${at}.squares[${j}].color: expected one of ${DRAW_COLORS.join(", ")}`);
+    });
+    (o?.arrows ?? []).forEach((a, j) => {
+      if (!/^[a-h][1-8]$/.test(a?.from ?? "") || !/^[a-h][1-8]$/.test(a?.to ?? "")) {
+        errors.push(`${at}.arrows[${j}]: from/to must be squares`);
+      }
+      if (!DRAW_COLORS.includes(a?.color)) errors.push(`${at}.arrows[${j}].color: expected one of ${DRAW_COLORS.join(", ")}`);
+    });
+  });
+  return errors;
+}
 
-  const START_PLY = 10; // move 5 (after black's 5th)
+/**
+ * Turn v2 plies into the input PGN with comments: text, score, then
+ * [%csl] / [%cal]. Outputs land on main-line plies only (NAGs and
+ * variations do not count); several outputs for one ply, and a comment
+ * the PGN already has there, share one comment, in order. Moves are kept
+ * as they are. result.headers are set after Event / Annotator, replacing
+ * a header of the same name (e.g. an eval's settings, as piecetrades'
+ * PiecetradesSettings).
+ */
+export function renderEvalPgn(game, result, entry) {
+  let base = ensureHeaders(game.pgn, {
+    Event: `Evaluated (${entry.id})`,
+    Annotator: `Priyome eval: ${entry.id}`,
+    ...(result.headers ?? {}),
+  });
 
   const noRes = stripEndResultToken(base);
   const { headers, moves } = splitHeadersAndMovetext(noRes);
-  const tokens = tokenizeMovetext(moves);
 
-  const tmp = new Chess();
-  tryLoadPgn(tmp, noRes, { sloppy: true });
-  const hist = tmp.history({ verbose: true });
-
-  const walk = new Chess();
-
-  // Injected comments/tags (strings) at a given ply.
   const injections = Object.create(null);
+  for (const o of result.plies) {
+    const body = plyCommentBody(o);
+    if (body) (injections[o.ply] ??= []).push(`{ ${body} }`);
+  }
 
-  // Tracked state:
-  // id -> { id, color, type, square, lastColorTag }
-  const tracked = new Map();
+  const out = headers + "\n\n" + rebuildMovetextWithInsertions(tokenizeMovetext(moves), injections);
+  return ensureTrailingResult(out);
+}
 
-  // Helpers to find tracked piece by square
-  function findTrackedBySquare(sq) {
-    for (const p of tracked.values()) {
-      if (p.square === sq) return p;
-    }
-    return null;
+function plyCommentBody(o) {
+  const parts = [];
+  if (o.text) parts.push(escapeCommentBody(o.text));
+  if (o.score !== undefined) parts.push(`score=${o.score > 0 ? "+" : ""}${o.score}`);
+  if (o.squares?.length) parts.push(`[%csl ${o.squares.map((s) => s.color + s.square).join(",")}]`);
+  if (o.arrows?.length) parts.push(`[%cal ${o.arrows.map((a) => a.color + a.from + a.to).join(",")}]`);
+  return parts.join(" ");
+}
+
+/**
+ * Run any registry entry on a PGN. v2 entries get resolved params and
+ * rendered output; v1 entries are called as before. Returns
+ * { pgn, meta, params }. Throws on bad params or a malformed v2 result,
+ * with the reasons in .errors.
+ */
+export async function runEval(entry, pgn, { params: values = {}, ctx } = {}) {
+  if (entry.contract !== undefined && entry.contract !== EVAL_CONTRACT_VERSION) {
+    throw new Error(`Eval "${entry.id}" declares contract ${safeString(entry.contract)}; this evals.js speaks ${EVAL_CONTRACT_VERSION}`);
   }
 
-  // Deterministic ID order (keeps [%csl] stable)
-  const ID_ORDER = ["N1", "N2", "B1", "B2", "n1", "n2", "b1", "b2"];
+  const { params, errors } = resolveEvalParams(entry, values);
+  if (errors.length) throw evalError(`Eval "${entry.id}": invalid params`, errors);
+  if (Object.keys(params).length) logLine(ctx, "ok", `EVAL/${entry.id}: params ${JSON.stringify(params)}`);
 
-  function idsInOrder() {
-    return ID_ORDER.filter((id) => tracked.has(id));
+  if (entry.contract === undefined) {
+    const res = await entry.run(pgn, { ...ctx, params });
+    const out = typeof res === "string" ? res : res && typeof res.pgn === "string" ? res.pgn : "";
+    return { pgn: out, meta: res?.meta, params };
   }
 
-  function initTrackedFromPosition(chess) {
-    // Assign IDs based on *starting position squares* for minors.
-    // White: N1,N2,B1,B2 ; Black: n1,n2,b1,b2
-    const wMin = listMinors(chess, "w");
-    const bMin = listMinors(chess, "b");
+  const game = loadGame(pgn);
+  const result = await entry.evaluate(game, params, { ...ctx, params });
 
-    // Stable assignment: by type group then by square
-    const wN = wMin.filter((p) => p.type === "n").sort((a, b) => a.square.localeCompare(b.square));
-    const wB = wMin.filter((p) => p.type === "b").sort((a, b) => a.square.localeCompare(b.square));
-    const bN = bMin.filter((p) => p.type === "n").sort((a, b) => a.square.localeCompare(b.square));
-    const bB = bMin.filter((p) => p.type === "b").sort((a, b) => a.square.localeCompare(b.square));
+  const problems = validateEvalResult(result, game.moves.length);
+  if (problems.length) throw evalError(`Eval "${entry.id}" returned a malformed result`, problems);
 
-    const put = (id, p) => {
-      if (!p) return;
-      tracked.set(id, { id, color: p.color, type: p.type, square: p.square, lastColorTag: "Y" });
-    };
+  return { pgn: renderEvalPgn(game, result, entry), meta: result.meta, params };
+}
 
-    put("N1", wN[0]);
-    put("N2", wN[1]);
-    put("B1", wB[0]);
-    put("B2", wB[1]);
+function evalError(message, errors) {
+  const e = new Error(`${message}:\n  ${errors.join("\n  ")}`);
+  e.errors = errors;
+  return e;
+}
 
-    put("n1", bN[0]);
-    put("n2", bN[1]);
-    put("b1", bB[0]);
-    put("b2", bB[1]);
+/* -----------------------------
+ * Eval: mock (kept)
+ * ----------------------------- */
 
-    logLine(ctx, "ok", `EVAL/piecetrades: initialized tracked minors: ${idsInOrder().join(", ")}`);
-    for (const id of idsInOrder()) {
-      const p = tracked.get(id);
-      logLine(ctx, "ok", `EVAL/piecetrades: ${id} => ${p.type} ${p.color} @ ${p.square} (initial color ${p.lastColorTag})`);
-    }
+function mockMinorPieceEval(game, params, ctx) {
+  logLine(ctx, "ok", `EVAL/mock: start (${game.moves.length} plies)`);
+
+  const plies = [
+    {
+      ply: 0,
+      squares: [
+        { square: "e4", color: "R" },
+        { square: "d4", color: "Y" },
+      ],
+      arrows: params.arrows ? [{ from: "e2", to: "e4", color: "G" }] : [],
+    },
+  ];
+  if (game.moves.length >= 1) plies.push({ ply: 1, text: "mock: develop minors; avoid rim knights" });
+  if (game.moves.length >= 4) plies.push({ ply: 4, text: "mock: before trading minors, ask who gains activity/structure" });
+
+  return {
+    plies,
+    headers: { Event: "Evaluated (mock)", Annotator: "Priyome eval: mockMinorPiece" },
+  };
+}
+
+/* -----------------------------
+ * Eval: piecetrades (UPDATED per your rule)
+ *
+ * ONLY stored state across plies:
+ *   - "fen-style" piece id (e.g. N1, B2, R1, Q1, n1, b2, r2, q1)
+ *   - last known color for that piece
+ *
+ * Identity is tracked by move replay (PieceTracker):
+ *   - When a piece moves: find which ID sits on "from", move it to "to".
+ *     Castling also moves the rook's ID.
+ *   - When a piece is captured: it drops out (en passant included).
+ *   - A promotion gets the next free ID of its type (Q2, n3, ...), so
+ *     underpromotions are tracked like any other piece.
+ *
+ * Coloring behavior:
+ *   - Compute eval color each ply for each *alive* tracked piece
+ *     (minors, or minors + rooks + queens with pieces=all).
+ *   - If eval color changed from last color, update stored color and emit rationale.
+ *   - If not changed, keep last color (even though eval was recomputed).
+ *
+ * Tag output behavior:
+ *   - Emit [%csl ...] every move from startPly onward.
+ *   - The order is deterministic by ID order to avoid rendering weirdness.
+ *
+ * Thresholds are params (PIECETRADES_PARAMS) so coaches can tune them per
+ * student level; the chosen set is written to the PiecetradesSettings header.
+ * Same input and settings => same output.
+ * ----------------------------- */
+
+const PIECETRADES_PARAMS = [
+  { key: "startPly", label: "Start at ply", type: "integer", default: 10, min: 0, help: "First ply that gets tags; 10 = after Black's 5th move" },
+  { key: "badBishopPawns", label: "Bad bishop: own pawns on its color ≥", type: "integer", default: 5, min: 1, max: 8 },
+  { key: "mobilityActive", label: "Active minor: mobility ≥", type: "integer", default: 6, min: 1, max: 13, help: "Rooks need 2×, queens 3×" },
+  { key: "mobilityAverage", label: "Average minor: mobility ≥", type: "integer", default: 3, min: 0, max: 13 },
+  { key: "greenScore", label: "GREEN (keep): score ≥", type: "integer", default: 2 },
+  { key: "redScore", label: "RED (trade target): score ≤", type: "integer", default: -2 },
+  { key: "pieces", label: "Pieces", type: "enum", options: ["all", "minors"], default: "all", help: "minors = knights and bishops only" },
+];
+
+// Cross-field checks resolveEvalParams() cannot express; "key: message".
+function checkPieceTradesParams(opts) {
+  const errors = [];
+  if (opts.mobilityAverage > opts.mobilityActive) {
+    errors.push(`mobilityAverage: ${opts.mobilityAverage} is above mobilityActive ${opts.mobilityActive}`);
+  }
+  if (opts.redScore >= opts.greenScore) {
+    errors.push(`redScore: ${opts.redScore} must be below greenScore ${opts.greenScore}`);
+  }
+  return errors;
+}
+
+function pieceTradesEval(game, params, ctx) {
+  logLine(ctx, "ok", `EVAL/piecetrades: start (${game.moves.length} plies)`);
+  logBlock(ctx, "ok", "piecetrades/input", game.pgn, 2800);
+
+  const problems = checkPieceTradesParams(params);
+  if (problems.length) throw evalError(`Eval "piecetrades": invalid params`, problems);
+  const settings = PIECETRADES_PARAMS.map((p) => `${p.key}=${params[p.key]}`).join(" ");
+  logLine(ctx, "ok", `EVAL/piecetrades: settings ${settings}`);
+
+  const walk = new Chess(game.startFen);
+  const tracker = new PieceTracker(game.startFen);
+  const plies = [];
+
+  // Per-piece state on top of the tracker's IDs: id -> last color tag.
+  const lastColorTag = new Map();
+  const TYPES = params.pieces === "minors" ? "nb" : "nbrq";
+
+  // Deterministic ID order (keeps [%csl] stable): White then Black,
+  // N B R Q, then number.
+  function idsInOrder() {
+    return tracker.alive().filter((id) => TYPES.includes(tracker.info(id).type));
   }
 
   // Emit assumptions only once: on the first ply we produce any rationale.
@@ -624,103 +1110,60 @@ async function pieceTradesEval(inputPgn, ctx) {
   function addAssumptionsComment(ply, san) {
     if (emittedAssumptions) return;
     emittedAssumptions = true;
-    const body = [
+    const text = [
       "piecetrades: first rationale emission",
       `position after ${ply % 2 ? "White" : "Black"} played ${san} (ply ${ply})`,
       "",
       "Assumptions (stated once):",
       "• No engine calculation.",
-      "• Human-countable features only: attacked/defended, stability, mobility, rim-knight, bad-bishop proxy.",
+      "• Human-countable features only: exchange count (SEE), stability, mobility, rim-knight, bad-bishop proxy;",
+      "  rooks: open/half-open file, 7th rank; queens: harassed by cheaper pieces, undefended sorties.",
       "• Colors are a trade desirability hint: GREEN=keep, YELLOW=depends, RED=trade target.",
       "• Only persistent state across plies is piece-ID and last-known color.",
     ].join("\n");
-    (injections[ply] ??= []).push(`{ ${escapeCommentBody(body)} }`);
+    plies.push({ ply, text });
   }
 
-  function makeCslFromTracked() {
-    // Use stored lastColorTag and current squares, in stable ID order.
-    const parts = [];
-    for (const id of idsInOrder()) {
-      const p = tracked.get(id);
-      if (!p || !p.square) continue;
-      parts.push(`${p.lastColorTag}${p.square}`);
-    }
-    return parts;
+  logLine(ctx, "ok", `EVAL/piecetrades: initialized tracked pieces: ${idsInOrder().join(", ")}`);
+  for (const id of idsInOrder()) {
+    const p = tracker.info(id);
+    logLine(ctx, "ok", `EVAL/piecetrades: ${id} => ${p.type} ${p.color} @ ${p.origin} (initial color Y)`);
   }
 
-  // Initialize tracked minors at initial position (ply 0)
-  initTrackedFromPosition(walk);
-
   // Run through moves, updating tracked squares via replay, and evaluating every ply.
-  for (let i = 0; i < hist.length; i++) {
+  game.moves.forEach((mv, i) => {
     const ply = i + 1;
-    const mv = hist[i];
-
-    const beforeFen = walk.fen();
-
-    // Apply move on the main board
-    const played = walk.move(mv.san, { sloppy: true });
-    if (!played) {
-      logLine(ctx, "err", `EVAL/piecetrades: failed to replay ply=${ply} san=${mv.san}. stopping.`);
-      break;
-    }
+    walk.move(mv.san);
 
-    // Update tracked identity/state based on "from/to" squares
-    // 1) Captures: remove tracked minor if it was sitting on "to" before move.
-    //    (For en-passant, chess.js uses to-square of capture; we only care about minors anyway.)
-    if (mv.captured) {
-      const capSq = mv.to;
-      const victim = findTrackedBySquare(capSq);
-      if (victim) {
-        tracked.delete(victim.id);
-        logLine(ctx, "ok", `EVAL/piecetrades: captured tracked minor ${victim.id} on ${capSq} at ply ${ply}`);
-      }
-    }
-
-    // 2) Moves: if mover is a minor we track, update its square.
-    //    We find by FROM square in the pre-move tracked state.
-    if (mv.piece === "n" || mv.piece === "b") {
-      const mover = (() => {
-        for (const p of tracked.values()) {
-          if (p.square === mv.from && p.type === mv.piece && p.color === mv.color) return p;
-        }
-        return null;
-      })();
-      if (mover) {
-        mover.square = mv.to;
-      } else {
-        // This can happen if the piece was never in our tracked set (e.g., promoted bishop/knight),
-        // or if it was already captured in our tracked model. We ignore by design.
-        logLine(ctx, "warn", `EVAL/piecetrades: mover minor not found in tracked set: ${mv.color}${mv.piece} ${mv.from}->${mv.to} (ply ${ply})`);
-      }
-    }
+    // Identity follows the move: captures (incl. en passant), the castling
+    // rook and promotions (the new piece gets the next free ID).
+    const step = tracker.apply(mv);
+    if (step.captured) logLine(ctx, "ok", `EVAL/piecetrades: captured ${step.captured} on ${mv.to} at ply ${ply}`);
+    if (step.promoted) logLine(ctx, "ok", `EVAL/piecetrades: promotion on ${mv.to} at ply ${ply} tracked as ${step.promoted}`);
 
-    // Start emitting only from START_PLY
-    if (ply < START_PLY) continue;
+    // Start emitting only from startPly
+    if (ply < params.startPly) return;
 
-    // Evaluate each alive tracked minor, BUT only change stored color if eval changed.
+    // Evaluate each alive tracked piece, BUT only change stored color if eval changed.
     const changedIds = [];
 
     for (const id of idsInOrder()) {
-      const p = tracked.get(id);
-      if (!p) continue;
-
-      const evalPiece = { type: p.type, color: p.color, square: p.square };
-      const s = scoreOneMinor(walk, evalPiece);
+      const info = tracker.info(id);
+      const evalPiece = { type: info.type, color: info.color, square: tracker.squareOf(id) };
+      const s = scorePiece(walk, evalPiece, params);
 
-      const prev = p.lastColorTag;
+      const prev = lastColorTag.get(id) ?? "Y";
       const next = s.colorTag;
 
       if (prev !== next) {
-        p.lastColorTag = next;
-        changedIds.push({ id, from: prev, to: next, score: s.score, colorName: s.colorName, reasons: s.reasons, meta: { ...p } });
+        lastColorTag.set(id, next);
+        changedIds.push({ id, from: prev, to: next, score: s.score, colorName: s.colorName, reasons: s.reasons, meta: { ...info, ...evalPiece } });
       }
     }
 
-    // ALWAYS emit a coloring tag comment each move
-    const cslItems = makeCslFromTracked();
-    const cslTag = cslItems.length ? `[%csl ${cslItems.join(",")}]` : `[%csl ]`;
-    (injections[ply] ??= []).push(`{ ${cslTag} }`);
+    // The stored colors of every tracked piece, every ply.
+    const squares = idsInOrder().map((id) => ({ square: tracker.squareOf(id), color: lastColorTag.get(id) ?? "Y" }));
+    if (squares.length) plies.push({ ply, squares });
 
     // Emit rationale only when any stored colors changed
     if (changedIds.length) {
@@ -728,38 +1171,484 @@ async function pieceTradesEval(inputPgn, ctx) {
 
       for (const ch of changedIds) {
         const sideName = ch.meta.color === "w" ? "White" : "Black";
-        const pieceName = ch.meta.type === "n" ? "Knight" : "Bishop";
+        const pieceName = PIECE_NAMES[ch.meta.type];
+        const promoted = ch.meta.promotedAt ? `, promoted at ply ${ch.meta.promotedAt}` : "";
 
         const lines = [];
-        lines.push(`${ch.id} (${sideName} ${pieceName} @ ${ch.meta.square}) went from ${tagToName(ch.from)} to ${tagToName(ch.to)} (score=${ch.score})`);
+        lines.push(`${ch.id} (${sideName} ${pieceName} @ ${ch.meta.square}${promoted}) went from ${tagToName(ch.from)} to ${tagToName(ch.to)} (score=${ch.score})`);
         for (const r of ch.reasons) lines.push(`• ${r}`);
-
-        (injections[ply] ??= []).push(`{ ${escapeCommentBody(lines.join("\n"))} }`);
+        plies.push({ ply, text: lines.join("\n") });
       }
 
       logLine(ctx, "ok", `EVAL/piecetrades: colors changed @ ply=${ply} san=${mv.san}: ${changedIds.map(x => `${x.id}:${x.from}->${x.to}`).join(", ")}`);
     }
+  });
+
+  logLine(ctx, "ok", `EVAL/piecetrades: ${plies.filter((o) => o.text).length} rationale comments`);
+  return { plies, headers: { PiecetradesSettings: settings } };
+}
+
+/* -----------------------------
+ * Eval: loosechecks (native port of research/CL.cql)
+ *
+ * Every ply, for the position after it (ply 0 = start):
+ *   - [%csl B..] on each knight, bishop, rook or queen, of either color,
+ *     with no more defenders than attackers (CL.cql's findLoosePieces:
+ *     #(A attacks s) <= #(a attacks s), so undefended pieces count even
+ *     when nothing attacks them yet).
+ *   - [%cal G..] for each legal move of the side to move after which the
+ *     moved N/B/R/Q itself gives check (CL.cql's slider rays and knight
+ *     "flip up 2 right 1" squares). Discovered and pawn checks are not drawn.
+ *
+ * Counts are pseudo-attacks, as in CQL: pinned pieces still attack.
+ * ----------------------------- */
+
+const LOOSE_TYPES = ["n", "b", "r", "q"];
+
+function loosePieces(position) {
+  const out = [];
+  for (const color of ["w", "b"]) {
+    const opp = color === "w" ? "b" : "w";
+    for (const type of LOOSE_TYPES) {
+      for (const sq of toSquares(position.pieces[color][type])) {
+        const around = attackersTo(position, sq);
+        const defenders = popcount(around & position.colors[color]);
+        const attackers = popcount(around & position.colors[opp]);
+        if (defenders <= attackers) out.push({ square: sq, color, type, defenders, attackers });
+      }
+    }
   }
+  return out;
+}
+
+function checkingMoves(position, fen) {
+  const color = position.turn;
+  const king = position.pieces[color === "w" ? "b" : "w"].k;
+  const out = [];
+  for (const mv of new Chess(fen).moves({ verbose: true })) {
+    if (!LOOSE_TYPES.includes(mv.piece)) continue;
+    const occupancy = (position.occupancy & ~squareBit(mv.from)) | squareBit(mv.to);
+    if (attacksFrom(mv.piece, color, mv.to, occupancy) & king) out.push({ from: mv.from, to: mv.to, san: mv.san });
+  }
+  return out;
+}
+
+function looseChecksEval(game, params, ctx) {
+  logLine(ctx, "ok", `EVAL/loosechecks: start (${game.moves.length} plies)`);
+
+  const plies = [];
+  const series = [];
+  game.fens.forEach((fen, ply) => {
+    const position = positionFromFen(fen);
+    const loose = params.loose ? loosePieces(position) : [];
+    const checks = params.checks ? checkingMoves(position, fen) : [];
+
+    const out = { ply };
+    if (loose.length) out.squares = loose.map((p) => ({ square: p.square, color: "B" }));
+    if (checks.length) out.arrows = checks.map((m) => ({ from: m.from, to: m.to, color: "G" }));
+    if (params.explain && (loose.length || checks.length)) {
+      const parts = [];
+      if (loose.length) {
+        parts.push(`loose: ${loose.map((p) => `${p.color === "w" ? p.type.toUpperCase() : p.type}${p.square} (${p.defenders}/${p.attackers})`).join(", ")}`);
+      }
+      if (checks.length) parts.push(`checks: ${checks.map((m) => m.san).join(", ")}`);
+      out.text = parts.join("; ");
+    }
+    if (out.squares || out.arrows || out.text) plies.push(out);
+    series.push({ ply, loose: loose.map((p) => p.square), checks: checks.map((m) => m.san) });
+  });
+
+  logLine(ctx, "ok", `EVAL/loosechecks: annotated ${plies.length} of ${game.fens.length} positions`);
+  return { plies, meta: { series } };
+}
+
+/* -----------------------------
+ * Eval: kingsafety
+ *
+ * Scores each king after every ply from human-countable features:
+ *   - pawn shield: own pawns one / two ranks in front of the king on its
+ *     file and the two beside it (only while the king is on its first two
+ *     ranks; further up it is "in the open")
+ *   - open / half-open files on those three files
+ *   - king zone (the king's square, its neighbours and the row in front of
+ *     them): enemy pieces hitting it, in attack units N/B 2, R 3, Q 5,
+ *     less one per own minor or queen covering it
+ *   - safe checks: squares an enemy piece can reach to give check that no
+ *     own piece covers (the king only when it can take the checker)
+ *
+ * Like piecetrades, the only state across plies is each king's last color
+ * (GREEN safe, YELLOW, RED in danger); rationale is emitted only when it
+ * changes. The [%csl] heat on each zone is emitted every ply from startPly:
+ * R = attacked and uncovered, Y = attacked but covered by a piece other
+ * than the king (the king cannot step onto a square the enemy attacks).
+ * ----------------------------- */
 
-  let finalMoves = rebuildMovetextWithInsertions(tokens, injections);
-  let final = headers + "\n\n" + finalMoves;
+const ATTACK_UNITS = { n: 2, b: 2, r: 3, q: 5 };
 
-  // Guarantee at least one [%csl ...] somewhere
-  if (!/\[%csl\s+[^\]]*\]/.test(final)) {
-    logLine(ctx, "warn", `EVAL/piecetrades: output missing [%csl]; inserting tiny start tag`);
-    final = insertDrawTagsNearStart(final, `[%csl Ye4]`);
+// Every square `color` attacks with `types`, through the real occupancy.
+function attackedBy(position, color, types = ["p", "n", "b", "r", "q", "k"]) {
+  let mask = 0n;
+  for (const type of types) {
+    for (const sq of toSquares(position.pieces[color][type])) mask |= attacksFrom(type, color, sq, position.occupancy);
   }
+  return mask;
+}
+
+function kingZone(kingSq, color) {
+  const near = KING_ATTACKS[squareToIndex(kingSq)] | squareBit(kingSq);
+  return near | (color === "w" ? up(near) : down(near));
+}
 
-  final = ensureTrailingResult(final);
+function scoreKing(position, color) {
+  const opp = color === "w" ? "b" : "w";
+  const kingSq = toSquares(position.pieces[color].k)[0];
+  const reasons = [];
+  let score = 0;
 
-  // Sanity parse
-  const fin = new Chess();
-  const finOk = tryLoadPgn(fin, final, { sloppy: true });
-  logLine(ctx, finOk ? "ok" : "err", `EVAL/piecetrades: output parse ok? ${finOk}`);
-  logLine(ctx, "ok", `EVAL/piecetrades: output history length = ${fin.history().length}`);
-  logBlock(ctx, finOk ? "ok" : "err", "piecetrades/output", final, 6000);
+  // (1) Pawn shield
+  const f = fileIndex(kingSq);
+  const files = [f - 1, f, f + 1].filter((x) => x >= 0 && x < 8).map((x) => FILES[x]);
+  const rel = relativeRank(kingSq, color);
+  const ownPawns = position.pieces[color].p;
+  if (rel <= 2) {
+    const step = color === "w" ? 1 : -1;
+    const shield = [];
+    for (const file of files) {
+      const one = file + (rankIndex(kingSq) + 1 + step);
+      const two = file + (rankIndex(kingSq) + 1 + 2 * step);
+      if (has(ownPawns, one)) shield.push(one);
+      else if (has(ownPawns, two)) {
+        score -= 1;
+        shield.push(two);
+        reasons.push(`SHIELD: pawn on ${file} has advanced to ${two} ⇒ a hook / loosened cover.`);
+      } else {
+        score -= 2;
+        reasons.push(`SHIELD: no pawn in front of the king on the ${file}-file.`);
+      }
+    }
+    if (shield.length === files.length) reasons.push(`Pawn shield in place: ${shield.join(", ")}.`);
+  } else {
+    score -= 3;
+    reasons.push(`KING IN THE OPEN: ${kingSq} is off its first two ranks ⇒ no pawn shield to speak of.`);
+  }
 
-  return final;
+  // (2) Open files next to the king
+  const enemyHeavy = position.pieces[opp].r | position.pieces[opp].q;
+  for (const file of files) {
+    const m = fileMask(file);
+    if (m & ownPawns) continue;
+    const open = !(m & position.pieces[opp].p);
+    score -= open ? 2 : 1;
+    reasons.push(`${open ? "OPEN" : "HALF-OPEN"} ${file}-FILE next to the king${enemyHeavy ? " with enemy rooks/queen on the board" : ""}.`);
+  }
+
+  // (3) King zone: attackers vs defenders
+  const zone = kingZone(kingSq, color);
+  let units = 0;
+  const hitters = [];
+  for (const type of ["n", "b", "r", "q"]) {
+    for (const sq of toSquares(position.pieces[opp][type])) {
+      if (attacksFrom(type, opp, sq, position.occupancy) & zone) {
+        units += ATTACK_UNITS[type];
+        hitters.push((opp === "w" ? type.toUpperCase() : type) + sq);
+      }
+    }
+  }
+  let guards = 0;
+  for (const type of ["n", "b", "q"]) {
+    for (const sq of toSquares(position.pieces[color][type])) {
+      if (attacksFrom(type, color, sq, position.occupancy) & zone) guards++;
+    }
+  }
+  if (units) {
+    score -= Math.max(0, units - guards);
+    reasons.push(`ZONE: attacked by ${hitters.join(", ")} (${units} units), covered by ${guards} own minor${guards === 1 ? "" : "s"}/queen.`);
+  } else {
+    reasons.push(`Zone quiet: no enemy piece hits it.`);
+  }
+
+  // (4) Safe checks. The king is not its own cover: it can only take a
+  // checker next to it that no other enemy piece protects.
+  const ours = attackedBy(position, color, ["p", "n", "b", "r", "q"]);
+  const theirs = attackedBy(position, opp);
+  const kingReach = KING_ATTACKS[squareToIndex(kingSq)];
+  const checks = [];
+  for (const type of ["n", "b", "r", "q"]) {
+    const from = attacksFrom(type, color, kingSq, position.occupancy) & ~position.colors[opp] & ~ours;
+    for (const sq of toSquares(position.pieces[opp][type])) {
+      const reach = attacksFrom(type, opp, sq, position.occupancy) & from;
+      for (const to of toSquares(reach)) {
+        if (has(kingReach, to) && !(attackersTo(position, to) & position.colors[opp] & ~squareBit(sq))) continue;
+        checks.push((opp === "w" ? type.toUpperCase() : type) + to);
+      }
+    }
+  }
+  if (checks.length) {
+    score -= checks.length;
+    reasons.push(`SAFE CHECKS for the opponent: ${checks.join(", ")}.`);
+  }
+
+  const heat = [];
+  for (const sq of toSquares(zone & theirs)) heat.push({ square: sq, color: has(ours, sq) ? "Y" : "R" });
+
+  return { kingSq, score, reasons, heat };
+}
+
+const KINGSAFETY_PARAMS = [
+  { key: "startPly", label: "Start at ply", type: "integer", default: 10, min: 0 },
+  { key: "safeScore", label: "GREEN (safe): score ≥", type: "integer", default: -2 },
+  { key: "dangerScore", label: "RED (in danger): score ≤", type: "integer", default: -7 },
+  { key: "heat", label: "Heat on the king zones", type: "boolean", default: true },
+];
+
+function kingSafetyEval(game, params, ctx) {
+  logLine(ctx, "ok", `EVAL/kingsafety: start (${game.moves.length} plies)`);
+  if (params.dangerScore >= params.safeScore) {
+    throw evalError(`Eval "kingsafety": invalid params`, [`dangerScore: ${params.dangerScore} must be below safeScore ${params.safeScore}`]);
+  }
+
+  const last = { w: "Y", b: "Y" };
+  const series = [];
+  const plies = [];
+  let emittedAssumptions = false;
+
+  game.fens.forEach((fen, ply) => {
+    if (ply < params.startPly) return;
+    const position = positionFromFen(fen);
+    const texts = [];
+    const squares = [];
+    const scores = {};
+
+    for (const color of ["w", "b"]) {
+      if (!position.pieces[color].k) continue;
+      const k = scoreKing(position, color);
+      scores[color] = k.score;
+      const tag = k.score >= params.safeScore ? "G" : k.score <= params.dangerScore ? "R" : "Y";
+      if (params.heat) squares.push(...k.heat);
+
+      if (tag !== last[color]) {
+        if (!emittedAssumptions) {
+          emittedAssumptions = true;
+          texts.push(
+            [
+              "kingsafety: first rationale emission",
+              "",
+              "Assumptions (stated once):",
+              "• No engine calculation; attacks are counted on the board as it stands.",
+              "• Features: pawn shield, open files by the king, zone attackers vs defenders, safe checks.",
+              "• Colors: GREEN=safe, YELLOW=watch it, RED=king in danger.",
+            ].join("\n")
+          );
+        }
+        const side = color === "w" ? "White" : "Black";
+        texts.push([`${side} king (${k.kingSq}) went from ${tagToName(last[color])} to ${tagToName(tag)} (score=${k.score})`, ...k.reasons.map((r) => `• ${r}`)].join("\n"));
+        last[color] = tag;
+      }
+    }
+
+    series.push({ ply, ...scores });
+    if (squares.length) plies.push({ ply, squares });
+    for (const text of texts) plies.push({ ply, text });
+  });
+
+  logLine(ctx, "ok", `EVAL/kingsafety: ${plies.filter((o) => o.text).length} rationale comments`);
+  return {
+    plies,
+    headers: { KingsafetySettings: KINGSAFETY_PARAMS.map((p) => `${p.key}=${params[p.key]}`).join(" ") },
+    meta: { series },
+  };
+}
+
+/* -----------------------------
+ * Eval: pawnstructure
+ *
+ * Names the pawn structure after every ply and marks its weak points:
+ *   - Structures are pawn patterns seen from their "owner" (the side the
+ *     name is about: the isolani's side, the side with e5 in the French
+ *     chain, ...). Each is written for White and mirrored for Black.
+ *   - [%csl]: isolated pawns R, doubled and backward pawns Y, holes on
+ *     files c-f B (weak squares on a side's own third and fourth rank).
+ *   - A comment only when the set of names changes, the same "only emit
+ *     on change" rule as piecetrades.
+ * ----------------------------- */
+
+// own / opp: squares that must hold a pawn of that side; ownNoFiles /
+// oppNoFiles: files where that side must have no pawn. White's view.
+const PAWN_STRUCTURES = [
+  { id: "iqp", name: "Isolani", own: "d4", ownNoFiles: "ce", hint: "the isolated queen's pawn side plays for piece activity and the pawn's advance; the other side blockades the square in front of it and trades pieces" },
+  { id: "hanging", name: "Hanging pawns", own: "c4 d4", ownNoFiles: "be", hint: "dynamic pair: strong while they control the center, a target once one is forced forward" },
+  { id: "carlsbad", name: "Carlsbad", own: "d4 e3", ownNoFiles: "c", opp: "c6 d5", oppNoFiles: "e", hint: "the side without the c-pawn runs the minority attack with its a- and b-pawns; the other side plays on the kingside or in the center" },
+  { id: "maroczy", name: "Maroczy bind", own: "c4 e4", ownNoFiles: "d", opp: "d6", oppNoFiles: "c", hint: "the c- and e-pawns clamp the d-file square between them; the other side needs the b- or d-pawn break and usually trades pieces to breathe" },
+  { id: "hedgehog", name: "Hedgehog", own: "a3 b3 d3 e3", ownNoFiles: "c", opp: "c5 e5", oppNoFiles: "d", hint: "a compact crouch on three ranks, waiting for the b- or d-pawn break" },
+  { id: "stonewall", name: "Stonewall", own: "d4 e3 f4", hint: "the square in front of the e-pawn is a fine outpost, the one behind it a permanent hole, and the bishop of the pawns' color is bad" },
+  { id: "french", name: "French chain", own: "d4 e5", opp: "d5 e6", hint: "the other side attacks the chain at its base with the c- and f-pawn breaks" },
+  { id: "kid", name: "King's Indian chain", own: "d5 e4", opp: "d6 e5", hint: "queenside play with the c-pawn for the side with the d-pawn spearhead, an f-pawn storm on the kingside for the other" },
+  { id: "open", name: "Open center", ownNoFiles: "de", oppNoFiles: "de", symmetric: true, hint: "no d/e pawns: piece activity and king safety decide" },
+];
+
+function structureMatches(position, s, owner) {
+  const opp = owner === "w" ? "b" : "w";
+  const view = (sqs) => (owner === "w" ? fromSquares(sqs ?? "") : flipVertical(fromSquares(sqs ?? "")));
+  const noFiles = (files) => [...(files ?? "")].reduce((m, f) => m | fileMask(f), 0n);
+  const own = position.pieces[owner].p;
+  const theirs = position.pieces[opp].p;
+  return (
+    (own & view(s.own)) === view(s.own) &&
+    !(own & noFiles(s.ownNoFiles)) &&
+    (theirs & view(s.opp)) === view(s.opp) &&
+    !(theirs & noFiles(s.oppNoFiles))
+  );
+}
+
+function classifyStructure(position) {
+  const found = [];
+  for (const s of PAWN_STRUCTURES) {
+    for (const owner of s.symmetric ? ["w"] : ["w", "b"]) {
+      if (!structureMatches(position, s, owner)) continue;
+      found.push({ ...s, owner: s.symmetric ? null : owner });
+    }
+  }
+  return found;
+}
+
+const structureLabel = (s) => (s.owner ? `${s.name} (${s.owner === "w" ? "White" : "Black"})` : s.name);
+
+function structureMarks(position, params) {
+  const marks = new Map(); // square -> color; later layers win
+  const put = (mask, color) => toSquares(mask).forEach((sq) => marks.set(sq, color));
+  for (const color of ["w", "b"]) {
+    if (params.holes) put(holes(position, color) & (fileMask("c") | fileMask("d") | fileMask("e") | fileMask("f")), "B");
+  }
+  if (params.weaknesses) {
+    for (const color of ["w", "b"]) {
+      put(doubledPawns(position, color) | backwardPawns(position, color), "Y");
+      put(isolatedPawns(position, color), "R");
+    }
+  }
+  return [...marks].map(([square, color]) => ({ square, color }));
+}
+
+function pawnStructureEval(game, params, ctx) {
+  logLine(ctx, "ok", `EVAL/pawnstructure: start (${game.moves.length} plies)`);
+
+  const plies = [];
+  const series = [];
+  let last = null;
+
+  game.fens.forEach((fen, ply) => {
+    if (ply < params.startPly) return;
+    const position = positionFromFen(fen);
+    const found = classifyStructure(position);
+    const labels = found.map(structureLabel);
+    series.push({ ply, labels });
+
+    const squares = structureMarks(position, params);
+    if (squares.length) plies.push({ ply, squares });
+
+    const key = labels.join(" + ");
+    if (key === last) return;
+    const was = last === null ? null : last || "no named structure";
+    last = key;
+    if (was === null && !labels.length) return;
+
+    const lines = [`Pawn structure: ${labels.length ? labels.join(" + ") : "no named structure"}${was ? ` (was: ${was})` : ""}`];
+    for (const s of found) lines.push(`• ${structureLabel(s)}: ${s.hint}.`);
+    plies.push({ ply, text: lines.join("\n") });
+    logLine(ctx, "ok", `EVAL/pawnstructure: ply ${ply}: ${key || "none"}`);
+  });
+
+  return { plies, meta: { series } };
+}
+
+/* -----------------------------
+ * Eval: material
+ *
+ * Material after every ply as CQL's power counts it (P 1, N/B 3, R 5,
+ * Q 9, kings 0) plus the imbalances a coach names: bishop pair, bishop vs
+ * knight, the exchange, two minors vs rook, queen vs rook + minor / two
+ * rooks / three minors, a minor for pawns.
+ *
+ * A comment (with score = White minus Black) goes on each ply where the
+ * balance or the imbalances change. With skipRecaptures, a capture that
+ * is answered by a recapture on the same square is reported once, after
+ * the recapture. meta.series has every ply for plotting:
+ *   [{ ply, white, black, diff, imbalances: ["White has the bishop pair"] }]
+ * ----------------------------- */
+
+const POWER_TYPES = ["p", "n", "b", "r", "q"];
+
+function materialCounts(position, color) {
+  const n = Object.fromEntries(POWER_TYPES.map((t) => [t, popcount(position.pieces[color][t])]));
+  const power = POWER_TYPES.reduce((sum, t) => sum + n[t] * PIECE_VALUES[t], 0);
+  return { ...n, minors: n.n + n.b, power };
+}
+
+// Imbalances from White's side; d = White minus Black per piece kind.
+const IMBALANCES = [
+  { when: (d) => d.r === 1 && d.minors === -1 && !d.q, text: (side) => `${side} is up the exchange` },
+  { when: (d) => d.r === -1 && d.minors === 2 && !d.q, text: (side) => `${side} has two minors for a rook` },
+  { when: (d) => d.q === 1 && d.r === -2, text: (side) => `${side} has the queen for two rooks` },
+  { when: (d) => d.q === 1 && d.r === -1 && d.minors === -1, text: (side) => `${side} has the queen for rook and minor` },
+  { when: (d) => d.q === 1 && d.minors === -3 && !d.r, text: (side) => `${side} has the queen for three minors` },
+  { when: (d) => d.minors === 1 && !d.r && !d.q && d.p < 0, text: (side) => `${side} has a minor for pawns` },
+];
+
+function imbalances(position) {
+  const w = materialCounts(position, "w");
+  const b = materialCounts(position, "b");
+  const d = { p: w.p - b.p, r: w.r - b.r, q: w.q - b.q, minors: w.minors - b.minors };
+  const flip = { p: -d.p, r: -d.r, q: -d.q, minors: -d.minors };
+  const out = [];
+
+  for (const [color, side] of [["w", "White"], ["b", "Black"]]) {
+    const own = position.pieces[color].b;
+    const other = position.pieces[color === "w" ? "b" : "w"].b;
+    const pair = (m) => (m & DARK) !== 0n && (m & LIGHT) !== 0n;
+    if (pair(own) && !pair(other)) out.push(`${side} has the bishop pair`);
+  }
+  if (w.minors === 1 && b.minors === 1 && w.b !== b.b) out.push(`${w.b ? "White" : "Black"} has bishop vs knight`);
+  for (const rule of IMBALANCES) {
+    if (rule.when(d)) out.push(rule.text("White"));
+    else if (rule.when(flip)) out.push(rule.text("Black"));
+  }
+  return { white: w.power, black: b.power, diff: w.power - b.power, imbalances: out };
+}
+
+function materialText(m) {
+  const lead = m.diff === 0 ? "level" : `${m.diff > 0 ? "White" : "Black"} +${Math.abs(m.diff)}`;
+  const lines = [`Material ${m.white}–${m.black} (${lead})`];
+  for (const s of m.imbalances) lines.push(`• ${s}`);
+  return lines.join("\n");
+}
+
+function materialEval(game, params, ctx) {
+  logLine(ctx, "ok", `EVAL/material: start (${game.moves.length} plies)`);
+
+  const series = game.fens.map((fen, ply) => ({ ply, ...imbalances(positionFromFen(fen)) }));
+  const plies = [];
+  let shown = null;
+
+  for (const m of series) {
+    if (m.ply < params.startPly) continue;
+    const key = `${m.diff}|${m.imbalances.join("|")}`;
+    if (key === shown) continue;
+
+    // Wait for the recapture if the next move takes back on the same square.
+    const mv = game.moves[m.ply - 1];
+    const next = game.moves[m.ply];
+    if (params.skipRecaptures && mv?.captured && next?.captured && next.to === mv.to) continue;
+
+    // The start position only gets a comment if it is not plain material equality.
+    if (shown === null && m.ply === 0 && m.diff === 0 && !m.imbalances.length) {
+      shown = key;
+      continue;
+    }
+    shown = key;
+    plies.push({ ply: m.ply, text: materialText(m), score: m.diff });
+  }
+
+  logLine(ctx, "ok", `EVAL/material: ${plies.length} balance changes`);
+  return { plies, meta: { series } };
 }
 
 /* -----------------------------
@@ -771,15 +1660,66 @@ export const EVALS = [
     id: "mock",
     name: "Mock minor-piece heuristic (verbose)",
     description:
-      "Returns a loadable PGN with [%csl]/[%cal] tags + a couple comments. Logs input/output via ctx.",
-    run: mockMinorPieceEval,
+      "Returns a loadable PGN with [%csl]/[%cal] tags + a couple comments. Smallest example of the v2 eval contract.",
+    contract: 2,
+    params: [{ key: "arrows", label: "Draw the e2-e4 arrow", type: "boolean", default: true }],
+    evaluate: mockMinorPieceEval,
   },
   {
     id: "piecetrades",
     name: "Piece trades tutor (ID-based state; colors update only when eval changes)",
     description:
-      'Tracks minors by IDs like "B1/B2/N1/N2" and "b1/b2/n1/n2". Recomputes eval every ply, but only changes stored color (and emits rationale) when that ID’s eval color changes.',
-    run: pieceTradesEval,
+      'Tracks every piece by IDs like "N1/B2/R1/Q1" and "n1/b2/r1/q1" (promotions get the next free ID, e.g. Q2). Recomputes eval every ply, but only changes stored color (and emits rationale) when that ID’s eval color changes.',
+    contract: 2,
+    params: PIECETRADES_PARAMS,
+    evaluate: pieceTradesEval,
+  },
+  {
+    id: "loosechecks",
+    name: "Loose pieces and checking squares (research/CL.cql)",
+    description:
+      "Every ply: blue squares on pieces with no more defenders than attackers, green arrows for piece moves that give check. Same rules as CL.cql, without the CQL engine.",
+    contract: 2,
+    params: [
+      { key: "loose", label: "Mark loose pieces", type: "boolean", default: true },
+      { key: "checks", label: "Draw checking moves", type: "boolean", default: true },
+      { key: "explain", label: "Add a text comment", type: "boolean", default: false, help: "Lists the loose pieces (defenders/attackers) and checking moves in words" },
+    ],
+    evaluate: looseChecksEval,
+  },
+  {
+    id: "kingsafety",
+    name: "King safety (pawn shield, open files, zone attacks, safe checks)",
+    description:
+      "Scores both kings every ply, heats up attacked squares around them and explains the verdict whenever a king turns GREEN / YELLOW / RED. The Greek Gift is the textbook case.",
+    contract: 2,
+    params: KINGSAFETY_PARAMS,
+    evaluate: kingSafetyEval,
+  },
+  {
+    id: "pawnstructure",
+    name: "Pawn structure names (isolani, hanging pawns, Carlsbad, Maroczy, ...)",
+    description:
+      "Names the structure after every ply and comments only when the name changes; marks isolated (R), doubled/backward (Y) pawns and central holes (B).",
+    contract: 2,
+    params: [
+      { key: "startPly", label: "Start at ply", type: "integer", default: 0, min: 0 },
+      { key: "weaknesses", label: "Mark weak pawns", type: "boolean", default: true },
+      { key: "holes", label: "Mark central holes", type: "boolean", default: true },
+    ],
+    evaluate: pawnStructureEval,
+  },
+  {
+    id: "material",
+    name: "Material and imbalance timeline",
+    description:
+      "Counts material every ply (CQL power: P1 N3 B3 R5 Q9), names imbalances such as the bishop pair or the exchange, comments where the balance changes and returns the per-ply series in meta for plotting.",
+    contract: 2,
+    params: [
+      { key: "startPly", label: "Start at ply", type: "integer", default: 0, min: 0 },
+      { key: "skipRecaptures", label: "Report trades once", type: "boolean", default: true, help: "A capture answered on the same square is commented after the recapture" },
+    ],
+    evaluate: materialEval,
   },
 ];
 
@@ -0,0 +1,500 @@
+// evals.test.js
+import { Chess } from "./third_party/chess.js";
+import {
+  EVALS,
+  EVAL_CONTRACT_VERSION,
+  PieceTracker,
+  loadGame,
+  renderEvalPgn,
+  resolveEvalParams,
+  runEval,
+  validateEvalResult,
+} from "./evals.js";
+
+/* ---------------- minimal zero-dep test harness ---------------- */
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  expected: ${expected}\n  got: ${actual}`);
+  }
+}
+
+const json = (v) => JSON.stringify(v);
+const evalById = (id) => EVALS.find((e) => e.id === id);
+const pgnOf = (moves, headers = "") => `[Event "t"]\n${headers}[Result "*"]\n\n${moves} *\n`;
+
+async function thrown(fn) {
+  try {
+    await fn();
+  } catch (e) {
+    return e;
+  }
+  return null;
+}
+
+/* ---------------- params ---------------- */
+
+const PARAMS_ENTRY = {
+  id: "params",
+  params: [
+    { key: "n", type: "integer", default: 3, min: 0, max: 10 },
+    { key: "x", type: "number", default: 0.5 },
+    { key: "on", type: "boolean", default: false },
+    { key: "mode", type: "enum", options: ["a", "b"], default: "a" },
+    { key: "label", type: "string", default: "" },
+  ],
+};
+
+const paramTests = [
+  {
+    name: "params: defaults fill what is not given",
+    values: {},
+    params: { n: 3, x: 0.5, on: false, mode: "a", label: "" },
+  },
+  {
+    name: "params: form strings are coerced",
+    values: { n: "7", x: "1.25", on: "on", mode: "b", label: 12 },
+    params: { n: 7, x: 1.25, on: true, mode: "b", label: "12" },
+  },
+  {
+    name: "params: empty input falls back to the default",
+    values: { n: "", on: "false" },
+    params: { n: 3, x: 0.5, on: false, mode: "a", label: "" },
+  },
+  {
+    name: "params: type, range, enum and unknown-key errors",
+    values: { n: 11, x: "abc", mode: "c", zzz: 1 },
+    errors: ["n: 11 is above the maximum 10", "x: expected a number, got abc", "mode: c is not one of a, b", "zzz: unknown param"],
+  },
+  {
+    name: "params: integers reject fractions and values below min",
+    entry: { params: [PARAMS_ENTRY.params[0], { key: "m", type: "integer", default: 0, min: 1 }] },
+    values: { n: "2.5" },
+    errors: ["n: expected an integer, got 2.5", "m: 0 is below the minimum 1"],
+  },
+  {
+    name: "params: an entry without params resolves to nothing",
+    entry: { id: "bare" },
+    values: {},
+    params: {},
+  },
+];
+
+function runParamTest({ name, entry = PARAMS_ENTRY, values, params, errors = [] }) {
+  const got = resolveEvalParams(entry, values);
+  assertEqual(got.errors.join("\n"), errors.join("\n"), `❌ ${name} (errors)`);
+  if (params) assertEqual(json(got.params), json(params), `❌ ${name}`);
+  console.log(`✅ ${name}`);
+}
+
+/* ---------------- result validation ---------------- */
+
+const resultTests = [
+  { name: "result: well-formed", result: { plies: [{ ply: 0, text: "start" }, { ply: 4, score: -1, squares: [{ square: "e4", color: "G" }], arrows: [{ from: "g1", to: "f3", color: "B" }] }] }, errors: [] },
+  { name: "result: missing plies", result: { meta: {} }, errors: ["plies: expected an array"] },
+  { name: "result: null", result: null, errors: ["plies: expected an array"] },
+  {
+    name: "result: ply out of range or not an integer",
+    result: { plies: [{ ply: 5 }, { ply: 1.5 }, { ply: -1 }] },
+    errors: ["plies[0].ply: expected an integer 0..4, got 5", "plies[1].ply: expected an integer 0..4, got 1.5", "plies[2].ply: expected an integer 0..4, got -1"],
+  },
+  {
+    name: "result: comment shapes",
+    result: { plies: [{ ply: 1, text: 3, score: "+1" }, { ply: 2, squares: [{ square: "e9", color: "G" }, { square: "e4", color: "W" }], arrows: [{ from: "e2", to: "x", color: "R" }, { from: "e2", to: "e4", color: "green" }] }] },
+    errors: [
+      "plies[0].text: expected a string",
+      "plies[0].score: expected a number",
+      "plies[1].squares[0].square: e9 is not a square",
+      "plies[1].squares[1].color: expected one of G, R, B, Y",
+      "plies[1].arrows[0]: from/to must be squares",
+      "plies[1].arrows[1].color: expected one of G, R, B, Y",
+    ],
+  },
+];
+
+function runResultTest({ name, result, errors }) {
+  assertEqual(validateEvalResult(result, 4).join("\n"), errors.join("\n"), `❌ ${name}`);
+  console.log(`✅ ${name}`);
+}
+
+/* ---------------- rendering ---------------- */
+
+// Expected movetext only: the line after the headers' blank line onwards.
+const renderTests = [
+  {
+    name: "render: outputs for one ply share a comment with the existing one",
+    pgn: pgnOf("1. e4 e5 2. Nf3 {book} Nc6"),
+    plies: [{ ply: 2, text: "second", score: 1 }, { ply: 3, squares: [{ square: "f3", color: "G" }] }, { ply: 3, text: "again" }],
+    movetext: "1. e4 e5 { second score=+1 } 2. Nf3 { [%csl Gf3]\nagain\nbook } Nc6 *",
+  },
+  {
+    name: "render: ply 0 goes before the first move",
+    pgn: pgnOf("{intro} 1. d4 d5"),
+    plies: [{ ply: 0, arrows: [{ from: "d2", to: "d4", color: "Y" }] }],
+    movetext: "{ [%cal Yd2d4]\nintro } 1. d4 d5 *",
+  },
+  {
+    name: "render: NAGs and variations do not shift main-line plies",
+    pgn: pgnOf("1. e4 $1 e5 (1... c5 2. Nf3 $2 (2. c3) d6) 2. Nf3! Nc6 3. Bb5"),
+    plies: [{ ply: 1, text: "one" }, { ply: 2, text: "two" }, { ply: 3, text: "three" }, { ply: 5, text: "five" }],
+    movetext: "1. e4 $1 { one } e5 { two } ( 1... c5 2. Nf3 $2 ( 2. c3 ) d6 ) 2. Nf3! { three } Nc6 3. Bb5 { five } *",
+  },
+];
+
+function runRenderTest({ name, pgn, plies, movetext }) {
+  const game = loadGame(pgn);
+  const out = renderEvalPgn(game, { plies }, { id: "t" });
+  assertEqual(out.slice(out.indexOf("\n\n") + 2).trim(), movetext, `❌ ${name}`);
+
+  // The annotated PGN still reads as the same game.
+  const again = loadGame(out);
+  assertEqual(json(again.fens), json(game.fens), `❌ ${name} (moves changed)`);
+  console.log(`✅ ${name}`);
+}
+
+/* ---------------- runEval ---------------- */
+
+const GAME = pgnOf("1. e4 e5 2. Nf3 Nc6");
+
+const runEvalTests = [
+  {
+    name: `runEval: contract ${EVAL_CONTRACT_VERSION} entries are evaluated and rendered`,
+    entry: { id: "v2", contract: EVAL_CONTRACT_VERSION, params: [{ key: "at", type: "integer", default: 1 }], evaluate: (game, params) => ({ plies: [{ ply: params.at, text: "hi" }], meta: { n: game.moves.length } }) },
+    values: { at: "3" },
+    check: (res) => json([res.params, res.meta, res.pgn.includes("2. Nf3 { hi } Nc6")]),
+    expected: json([{ at: 3 }, { n: 4 }, true]),
+  },
+  {
+    name: "runEval: another contract version is refused",
+    entry: { id: "future", contract: EVAL_CONTRACT_VERSION + 1, evaluate: () => ({ plies: [] }) },
+    error: `Eval "future" declares contract ${EVAL_CONTRACT_VERSION + 1}; this evals.js speaks ${EVAL_CONTRACT_VERSION}`,
+  },
+  {
+    name: "runEval: v1 entries (no contract) get their params as ctx.params",
+    entry: { id: "v1", params: [{ key: "on", type: "boolean", default: true }], run: (pgn, ctx) => ({ pgn: `${ctx.params.on}`, meta: 1 }) },
+    check: (res) => json([res.pgn, res.meta]),
+    expected: json(["true", 1]),
+  },
+  {
+    name: "runEval: invalid params throw with .errors",
+    entry: { id: "v2", contract: EVAL_CONTRACT_VERSION, params: [{ key: "at", type: "integer", default: 1, max: 4 }], evaluate: () => ({ plies: [] }) },
+    values: { at: 9 },
+    errors: ["at: 9 is above the maximum 4"],
+  },
+  {
+    name: "runEval: a malformed v2 result throws with .errors",
+    entry: { id: "v2", contract: EVAL_CONTRACT_VERSION, params: [], evaluate: () => ({ plies: [{ ply: 9 }] }) },
+    errors: ["plies[0].ply: expected an integer 0..4, got 9"],
+  },
+  {
+    name: "runEval: piecetrades' cross-field param checks throw with .errors",
+    entry: evalById("piecetrades"),
+    values: { mobilityAverage: 7, redScore: 2 },
+    errors: ["mobilityAverage: 7 is above mobilityActive 6", "redScore: 2 must be below greenScore 2"],
+  },
+];
+
+async function runRunEvalTest({ name, entry, values, check, expected, error, errors }) {
+  if (check) {
+    assertEqual(check(await runEval(entry, GAME, { params: values })), expected, `❌ ${name}`);
+  } else {
+    const e = await thrown(() => runEval(entry, GAME, { params: values }));
+    assertEqual(e !== null, true, `❌ ${name} (throws)`);
+    if (error) assertEqual(e.message, error, `❌ ${name} (message)`);
+    if (errors) assertEqual((e.errors ?? []).join("\n"), errors.join("\n"), `❌ ${name} (errors)`);
+  }
+  console.log(`✅ ${name}`);
+}
+
+/* ---------------- PieceTracker ---------------- */
+
+const fenGame = (fen, moves) => pgnOf(moves, `[SetUp "1"]\n[FEN "${fen}"]\n`);
+const track = (pgn) => PieceTracker.fromGame(loadGame(pgn));
+
+// White a7 pawn and black h2 pawn promote; White already has Nb1.
+const PROMOTION = fenGame("4k3/P7/8/8/8/8/7p/1N2K3 w - - 0 1", "1. a8=N h1=R+ 2. Kd2 Rxb1");
+
+const trackerTests = [
+  {
+    name: "tracker: IDs follow square order per color and type",
+    pgn: pgnOf("1. Nf3"),
+    got: (t) => ["b1", "g1", "h8", "e2", "e1", "a7"].map((sq) => t.idAt(sq, 0)).join(",") + ` ${t.idAt("f3")}`,
+    expected: "N1,N2,r2,P5,K1,p1 N2",
+  },
+  {
+    name: "tracker: en passant removes the pawn beside the destination",
+    pgn: pgnOf("1. e4 a6 2. e5 d5 3. exd6"),
+    got: (t) => json([t.capture("p4"), t.squareOf("P5"), t.idAt("d5"), t.squareOf("p4", 4)]),
+    expected: json([{ by: "P5", ply: 5, square: "d5" }, "d6", null, "d5"]),
+  },
+  {
+    name: "tracker: castling moves the rook on both wings",
+    pgn: pgnOf("1. d4 d5 2. Nc3 Nc6 3. Bf4 Bf5 4. Qd2 Qd7 5. O-O-O O-O-O 6. Nf3 e6 7. g3 Be7 8. Bg2 Nf6 9. Rhe1 Rhe8"),
+    got: (t) => json([t.squareOf("R1"), t.squareOf("K1"), t.squareOf("r1"), t.squareOf("k1"), t.moveCount("R1"), t.moveCount("R2"), t.moveCount("K1")]),
+    expected: json(["d1", "c1", "d8", "c8", 1, 1, 1]),
+  },
+  {
+    name: "tracker: apply() reports the castling rook",
+    pgn: pgnOf("1. e4 e5 2. Nf3 Nc6 3. Bc4 Bc5"),
+    got: (t) => json(t.apply({ color: "w", piece: "k", from: "e1", to: "g1", flags: "k", san: "O-O" })),
+    expected: json({ moved: "K1", captured: null, rook: "R2", promoted: null }),
+  },
+  {
+    name: "tracker: underpromotion takes the next free number",
+    pgn: PROMOTION,
+    got: (t) => json([t.info("N2"), t.info("P1").promotedTo, t.info("r1")?.promotedFrom]),
+    expected: json([{ id: "N2", color: "w", type: "n", origin: "a8", promotedAt: 1, promotedFrom: "P1" }, "N2", "p1"]),
+  },
+  {
+    name: "tracker: squareOf / idAt by ply across a promotion",
+    pgn: PROMOTION,
+    got: (t) => json([t.squareOf("P1", 0), t.squareOf("P1", 1), t.squareOf("N2", 0), t.squareOf("N2", 1), t.idAt("h1", 1), t.idAt("h1", 2), t.idAt("b1", 3), t.idAt("b1")]),
+    expected: json(["a7", null, null, "a8", null, "r1", "N1", "r1"]),
+  },
+  {
+    name: "tracker: capture, moveCount and alive",
+    pgn: PROMOTION,
+    got: (t) => json([t.capture("N1"), t.capture("N2"), t.moveCount("r1"), t.moveCount("r1", 2), t.moveCount("K1"), t.alive().join(" "), t.alive(0).join(" ")]),
+    expected: json([{ by: "r1", ply: 4, square: "b1" }, null, 1, 0, 1, "N2 K1 r1 k1", "P1 N1 K1 p1 k1"]),
+  },
+  {
+    name: "tracker: a move from an empty square throws",
+    pgn: pgnOf("1. e4"),
+    got: (t) => {
+      try {
+        t.apply({ color: "b", piece: "p", from: "e4", to: "e5", flags: "n", san: "e5" });
+      } catch (e) {
+        return e.message;
+      }
+      return "no error";
+    },
+    expected: "PieceTracker: no bp on e4 at ply 1 (e5)",
+  },
+];
+
+function runTrackerTest({ name, pgn, got, expected }) {
+  assertEqual(got(track(pgn)), expected, `❌ ${name}`);
+  console.log(`✅ ${name}`);
+}
+
+/* ---------------- eval outputs on fixed games ---------------- */
+
+// The comment that follows a (unique) SAN in the annotated movetext.
+function commentAfter(pgn, san) {
+  const at = pgn.indexOf(` ${san} {`);
+  return at < 0 ? null : pgn.slice(pgn.indexOf("{", at) + 1, pgn.indexOf("}", at)).trim();
+}
+
+// Knight grabs e5 and is left hanging to Qg5; Bxf7+ is later left hanging to the king after Qxe5.
+const HANGING_MINORS = pgnOf("1. e4 e5 2. Nf3 Nc6 3. Bc4 Nd4 4. Nxe5 Qg5 5. Bxf7+ Ke7 6. O-O Qxe5");
+
+// What CL.cql reports, worked by hand (loose = no more defenders than attackers; checks by the side to move):
+//   start  loose Bc4 0/0, Qd1 0/0, Bd7 0/1 (the queen sees it down the d-file); check Bxf7+
+//   Bxf7+  loose Bf7 0/1, Qd1, Bd7, Re8 1/1 (Bd7 defends, Bf7 attacks); Black's only moves answer the check
+//   Kxf7   loose Qd1, Bd7; Nf3 and the queen now check the king on f7
+const LOOSE_AND_CHECKS = fenGame("4r1k1/3b1ppp/2n5/8/2B5/5N2/5PPP/3Q2K1 w - - 0 1", "1. Bxf7+ Kxf7");
+
+// Greek Gift set-up: Qh5 and Bd3 both hit h7, which only the king defends.
+const GREEK_GIFT = fenGame("rnbq1rk1/ppp2ppp/4p3/3pP2Q/3P4/3B4/PPP2PPP/RNB1K1NR b KQ - 0 1", "1... Re8");
+
+// ...dxc4 leaves White's d4 pawn without c- or e-pawn neighbours; Bxc4 and Kf8 keep the structure.
+const ISOLANI = fenGame("6k1/pp3ppp/4p3/3p4/2PP4/3B4/PP3PPP/6K1 b - - 0 1", "1... dxc4 2. Bxc4 Kf8");
+
+// 2. exd5 Qxd5 trades pawns; 5. Bxf7+ Kxf7 gives a bishop for a pawn (10 plies).
+const MATERIAL_SWINGS = pgnOf("1. e4 d5 2. exd5 Qxd5 3. Nc3 Qa5 4. Bc4 Nf6 5. Bxf7+ Kxf7");
+
+// White's rook against Black's bishop, pawns even.
+const EXCHANGE_UP = fenGame("4k3/pppb4/8/8/8/8/PPP5/R3K3 w - - 0 1", "1. Kd2 Ke7");
+
+// Rooks covered by the kings, knights by the g-pawns, and no piece can reach a checking square.
+const ALL_DEFENDED = fenGame("5rk1/5ppp/5n2/8/8/5N2/5PPP/5RK1 w - - 0 1", "1. h3 h6");
+
+// The [%csl] squares, then each colour change with its SEE verdict and trade prediction.
+const pieceSummary = (comment) =>
+  comment
+    .split("\n")
+    .filter((l) => /^\[%csl|went from|^• (LOOSE|Not loose|TRADE PREDICTION)/.test(l))
+    .join(" | ");
+
+const evalOutputTests = [
+  {
+    name: "piecetrades: settings header",
+    eval: "piecetrades",
+    pgn: HANGING_MINORS,
+    values: { startPly: 6, pieces: "minors" },
+    got: (out) => out.split("\n").find((l) => l.startsWith("[PiecetradesSettings ")),
+    expected: '[PiecetradesSettings "startPly=6 badBishopPawns=5 mobilityActive=6 mobilityAverage=3 greenScore=2 redScore=-2 pieces=minors"]',
+  },
+  {
+    name: "piecetrades: SEE drives the loose-piece and trade comments",
+    eval: "piecetrades",
+    pgn: HANGING_MINORS,
+    values: { startPly: 6, pieces: "minors" },
+    got: (out) => ["Nxe5", "Qg5", "Bxf7+", "Ke7", "O-O", "Qxe5"].map((san) => `${san}: ${pieceSummary(commentAfter(out, san))}`),
+    expected: [
+      "Nxe5: [%csl Yb1,Ge5,Gc1,Gc4,Gd4,Yg8,Gc8,Gf8]",
+      "Qg5: [%csl Yb1,Re5,Gc1,Gc4,Gd4,Yg8,Gc8,Gf8] | N2 (White Knight @ e5) went from GREEN to RED (score=-2) | • LOOSE: Qg5xe5 wins 3 for the opponent (attacked 1, defended 0) ⇒ tactical liability. | • TRADE PREDICTION: opponent is usually happy to exchange this minor if possible.",
+      "Bxf7+: [%csl Yb1,Re5,Gc1,Gf7,Gd4,Yg8,Gc8,Gf8]",
+      "Ke7: [%csl Yb1,Re5,Gc1,Gf7,Gd4,Rg8,Gc8,Gf8] | n2 (Black Knight @ g8) went from YELLOW to RED (score=-2) | • Not loose: attacked 1, defended 1; best exchange Bf7xg8 Rh8xg8 nets 0. | • TRADE PREDICTION: opponent is usually happy to exchange this minor if possible.",
+      "O-O: [%csl Yb1,Re5,Gc1,Gf7,Gd4,Rg8,Gc8,Gf8]",
+      "Qxe5: [%csl Yb1,Gc1,Rf7,Gd4,Rg8,Gc8,Gf8] | B2 (White Bishop @ f7) went from GREEN to RED (score=-2) | • LOOSE: Ke7xf7 wins 3 for the opponent (attacked 1, defended 0) ⇒ tactical liability. | • TRADE PREDICTION: opponent is usually happy to exchange this minor if possible.",
+    ],
+  },
+  {
+    name: "piecetrades: nothing before startPly; the first emission states its assumptions",
+    eval: "piecetrades",
+    pgn: HANGING_MINORS,
+    values: { startPly: 6, pieces: "minors" },
+    got: (out) => {
+      const movetext = out.slice(out.indexOf("\n\n") + 2);
+      const first = commentAfter(out, "Nd4").split("\n");
+      return [movetext.indexOf("{") > movetext.indexOf(" Nd4 "), first[1], first.filter((l) => l.includes(" went from ")).length, first.includes("• Not loose: attacked 1, defended 2; best exchange Nd4xf3 gxf3 nets 0.")];
+    },
+    expected: [true, "piecetrades: first rationale emission", 6, true],
+  },
+  {
+    name: "loosechecks: loose pieces and checking moves match CL.cql",
+    eval: "loosechecks",
+    pgn: LOOSE_AND_CHECKS,
+    values: { explain: true },
+    got: (out) => [out.slice(out.indexOf("\n\n") + 2).match(/^\{ ([^}]*) \}/)?.[1], commentAfter(out, "Bxf7+"), commentAfter(out, "Kxf7")],
+    expected: [
+      "loose: Bc4 (0/0), Qd1 (0/0), bd7 (0/1); checks: Bxf7+ [%csl Bc4,Bd1,Bd7] [%cal Gc4f7]",
+      "loose: Bf7 (0/1), Qd1 (0/0), bd7 (0/1), re8 (1/1) [%csl Bf7,Bd1,Bd7,Be8]",
+      "loose: Qd1 (0/0), bd7 (0/1); checks: Ne5+, Ng5+, Qb3+, Qd5+, Qxd7+ [%csl Bd1,Bd7] [%cal Gf3e5,Gf3g5,Gd1b3,Gd1d5,Gd1d7]",
+    ],
+  },
+  {
+    name: "loosechecks: the per-ply series in meta",
+    eval: "loosechecks",
+    pgn: LOOSE_AND_CHECKS,
+    values: {},
+    got: (out, meta) => meta.series,
+    expected: [
+      { ply: 0, loose: ["c4", "d1", "d7"], checks: ["Bxf7+"] },
+      { ply: 1, loose: ["f7", "d1", "d7", "e8"], checks: [] },
+      { ply: 2, loose: ["d1", "d7"], checks: ["Ne5+", "Ng5+", "Qb3+", "Qd5+", "Qxd7+"] },
+    ],
+  },
+  {
+    name: "loosechecks: every piece defended and no checks leaves the game unannotated",
+    eval: "loosechecks",
+    pgn: ALL_DEFENDED,
+    values: { explain: true },
+    got: (out, meta) => [out.slice(out.indexOf("\n\n") + 2).trim(), meta.series.every((p) => !p.loose.length && !p.checks.length)],
+    expected: ["1. h3 h6 *", true],
+  },
+  {
+    name: "kingsafety: a square only the king defends is uncovered (Greek Gift h7)",
+    eval: "kingsafety",
+    pgn: GREEK_GIFT,
+    values: { startPly: 0 },
+    got: (out) => {
+      const start = out.slice(out.indexOf("\n\n") + 2).match(/^\{ ([^}]*) \}/)[1].split("\n");
+      return [start[0], start.find((l) => l.startsWith("• SAFE CHECKS")), commentAfter(out, "Re8")];
+    },
+    // After Re8 the king is f7's last defender too.
+    expected: ["[%csl Yf6,Yg6,Yh6,Yf7,Rh7]", "• SAFE CHECKS for the opponent: Bh7, Qh7.", "[%csl Yf6,Yg6,Yh6,Rf7,Rh7]"],
+  },
+  {
+    name: "pawnstructure: one comment, on the ply the isolani appears",
+    eval: "pawnstructure",
+    pgn: ISOLANI,
+    values: {},
+    got: (out) => [out.split("Pawn structure:").length - 1, commentAfter(out, "dxc4").split("\n").slice(0, 2)],
+    expected: [1, ["[%csl Bd3,Rd4,Bd6]", "Pawn structure: Isolani (White) (was: no named structure)"]],
+  },
+  {
+    name: "material: meta.series has plies + 1 entries (ply 0 is the start), with the balance at each capture",
+    eval: "material",
+    pgn: MATERIAL_SWINGS,
+    values: {},
+    got: (out, { series }) => [series.length, series.map((m) => m.ply).join(","), series[3], series[4], series[10].diff],
+    expected: [
+      11,
+      "0,1,2,3,4,5,6,7,8,9,10",
+      { ply: 3, white: 39, black: 38, diff: 1, imbalances: [] },
+      { ply: 4, white: 38, black: 38, diff: 0, imbalances: [] },
+      -2,
+    ],
+  },
+  {
+    name: "material: a trade is commented once, after the recapture, with the imbalances it leaves",
+    eval: "material",
+    pgn: MATERIAL_SWINGS,
+    values: {},
+    got: (out) => ["exd5", "Qxd5", "Bxf7+", "Kxf7"].map((san) => commentAfter(out, san)),
+    expected: [null, null, null, "Material 35–37 (Black +2)\n• Black has the bishop pair\n• Black has a minor for pawns score=-2"],
+  },
+  {
+    name: "material: without skipRecaptures every capture is commented",
+    eval: "material",
+    pgn: MATERIAL_SWINGS,
+    values: { skipRecaptures: false },
+    got: (out) => ["exd5", "Qxd5", "Bxf7+"].map((san) => commentAfter(out, san)),
+    expected: ["Material 39–38 (White +1) score=+1", "Material 38–38 (level) score=0", "Material 38–37 (White +1) score=+1"],
+  },
+  {
+    name: "material: an unequal start is commented at ply 0 (up the exchange)",
+    eval: "material",
+    pgn: EXCHANGE_UP,
+    values: {},
+    got: (out) => [out.slice(out.indexOf("\n\n") + 2).match(/^\{ ([^}]*) \}/)?.[1], out.split("{").length - 1],
+    expected: ["Material 8–6 (White +2)\n• White is up the exchange score=+2", 1],
+  },
+];
+
+async function runEvalOutputTest({ name, eval: id, pgn, values, got, expected }) {
+  const { pgn: out, meta } = await runEval(evalById(id), pgn, { params: values });
+  assertEqual(json(got(out, meta)), json(expected), `❌ ${name}`);
+  console.log(`✅ ${name}`);
+}
+
+/* ---------------- mock eval (was eval_test.js) ---------------- */
+
+// The annotated PGN must parse to the same game and carry the mock output.
+const mockTests = [
+  { name: "mock: Italian", pgn: pgnOf("1. e4 e5 2. Nf3 Nc6 3. Bc4 Bc5 4. c3 Nf6 5. d3 d6") },
+  { name: "mock: Sicilian", pgn: "1. e4 c5 2. Nf3 d6 3. d4 cxd4 4. Nxd4 Nf6 5. Nc3 a6 *" },
+  { name: "mock: French Advance", pgn: "1. e4 e6 2. d4 d5 3. e5 c5 4. c3 Nc6 5. Nf3 *" },
+  { name: "mock: early capture", pgn: "1. e4 e5 2. Nf3 Nc6 3. Nxe5 Nxe5 4. d4 Nc6 *" },
+];
+
+async function runMockTest({ name, pgn }) {
+  const { pgn: out } = await runEval(evalById("mock"), pgn, { params: { arrows: true } });
+  const before = new Chess();
+  const after = new Chess();
+  before.loadPgn(pgn);
+  after.loadPgn(out);
+  assertEqual(after.fen(), before.fen(), `❌ ${name} (final FEN)`);
+  assertEqual(after.history().length, before.history().length, `❌ ${name} (move count)`);
+  assertEqual(out.includes("{ mock: ") && out.includes("[%csl ") && out.includes("[%cal "), true, `❌ ${name} (annotations)`);
+  console.log(`✅ ${name}`);
+}
+
+/* ---------------- runner ---------------- */
+
+let passed = 0;
+const run = async (fn, t) => {
+  try {
+    await fn(t);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+};
+
+for (const t of paramTests) await run(runParamTest, t);
+for (const t of resultTests) await run(runResultTest, t);
+for (const t of renderTests) await run(runRenderTest, t);
+for (const t of runEvalTests) await run(runRunEvalTest, t);
+for (const t of trackerTests) await run(runTrackerTest, t);
+for (const t of evalOutputTests) await run(runEvalOutputTest, t);
+for (const t of mockTests) await run(runMockTest, t);
+
+const total = paramTests.length + resultTests.length + renderTests.length + runEvalTests.length + trackerTests.length + evalOutputTests.length + mockTests.length;
+console.log(`\n${passed}/${total} tests passed`);
+
+if (passed !== total) {
+  process.exit(1);
+}
@@ -2,7 +2,14 @@
 // Bitboard mapping: bit 0 = a1, bit 7 = h1, bit 56 = a8, bit 63 = h8.
 //
 // KNIGHT_ATTACKS[sq] is a 64-bit mask (BigInt) of squares attacked by a knight
-// placed on square index sq.
+// placed on square index sq. KING_ATTACKS and PAWN_ATTACKS.w / .b are the
+// same for kings and pawns; bishopAttacks / rookAttacks / queenAttacks take
+// an occupancy mask and stop at (and include) the first piece on each ray.
+// positionFromFen / positionToFen convert between FEN and per-piece masks.
+// renderLayers / renderLayersSvg / layersToCsl draw several masks at once.
+// pawnAttackSpan, pawnAttackOrigins, weakSquares, holes, outposts and the
+// passed / isolated / doubled / backward pawn masks describe pawn structure.
+// attackersTo / staticExchange play out captures on a square (SEE).
 
 export function forkable(squareA, squareB, options = {}) {
   const verbose = options.verbose === true;
@@ -12,17 +19,21 @@ export function forkable(squareA, squareB, options = {}) {
 
   const ma = KNIGHT_ATTACKS[a];
   const mb = KNIGHT_ATTACKS[b];
-  const inter = ma & mb;
+  const inter = forkSquares("N", [a, b]);
 
   const ok = inter !== 0n;
 
   if (verbose) {
     console.log("=== forkable ===");
     console.log(`A: ${squareA} (idx ${a})`);
-    console.log(bitboardToAscii(ma, { label: `Knight attacks from ${squareA}` }));
     console.log(`B: ${squareB} (idx ${b})`);
-    console.log(bitboardToAscii(mb, { label: `Knight attacks from ${squareB}` }));
-    console.log(bitboardToAscii(inter, { label: `Intersection (A & B)` }));
+    console.log(
+      renderLayers([
+        { mask: ma, label: `Knight attacks from ${squareA}`, glyph: "a" },
+        { mask: mb, label: `Knight attacks from ${squareB}`, glyph: "b" },
+        { mask: inter, label: "Intersection (A & B)", glyph: "*" },
+      ])
+    );
     console.log("Result:", ok ? "true (non-empty intersection)" : "false (disjoint)");
     console.log("================\n");
   }
@@ -30,6 +41,55 @@ export function forkable(squareA, squareB, options = {}) {
   return ok;
 }
 
+/**
+ * Squares from which a piece would attack every target, or at least
+ * options.min of them: forkable() for any piece and any number of targets.
+ *
+ * pieceType is a FEN letter; its case picks the color, which only matters
+ * for pawns ("P" captures upward, "p" downward). Sliders are blocked by
+ * `occupancy` (default: empty board). A target may be a square or an array
+ * of alternative squares, any one of which counts as hitting it.
+ *
+ * Occupied squares are not removed from the result: the piece may already
+ * stand on one. Mask with ~occupancy to ask where it could still go.
+ *
+ *   forkSquares("N", ["c3", "e3"])               // d1 | d5
+ *   forkSquares("Q", ["a8", "h8", "h1"], occ, { min: 2 })
+ *
+ * @param {string} pieceType "P" | "N" | "B" | "R" | "Q" | "K", or lowercase
+ * @param {Array<string|number|Array<string|number>>} targets
+ * @param {bigint} [occupancy=0n]
+ * @param {object} [options]
+ * @param {number} [options.min=targets.length]
+ * @returns {bigint}
+ */
+export function forkSquares(pieceType, targets, occupancy = 0n, options = {}) {
+  const min = options.min ?? targets.length;
+  const type = pieceType.toLowerCase();
+  // Attacks are symmetric, except that a pawn is hit from the squares an
+  // enemy pawn on the target would capture.
+  const color = type === "p" ? (pieceType === "P" ? "b" : "w") : "w";
+
+  const reach = targets.map((t) => {
+    let m = 0n;
+    for (const sq of Array.isArray(t) ? t : [t]) m |= attacksFrom(type, color, sq, occupancy);
+    return m;
+  });
+
+  if (min <= 0) return ALL_SQUARES_MASK;
+  if (min === reach.length) return reach.reduce((acc, m) => acc & m, ALL_SQUARES_MASK);
+
+  let out = 0n;
+  for (let sq = 0; sq < 64; sq++) {
+    let hits = 0;
+    for (const m of reach) if (bitAt(m, sq)) hits++;
+    if (hits >= min) out |= 1n << BigInt(sq);
+  }
+  return out;
+}
+
+const ALL_SQUARES_MASK = (1n << 64n) - 1n;
+
 export const KNIGHT_ATTACKS = [
   // rank 1 (a1..h1)
   0x0000000000020400n, 0x0000000000050800n, 0x00000000000a1100n, 0x0000000000142200n,
@@ -57,7 +117,502 @@ export const KNIGHT_ATTACKS = [
   0x0044280000000000n, 0x0088500000000000n, 0x0010a00000000000n, 0x0020400000000000n,
 ];
 
-function squareToIndex(sq) {
+/* ---------------- attack tables ---------------- */
+
+function buildTable(deltas) {
+  const table = [];
+  for (let sq = 0; sq < 64; sq++) {
+    let mask = 0n;
+    for (const [df, dr] of deltas) {
+      const f = (sq % 8) + df;
+      const r = Math.floor(sq / 8) + dr;
+      if (f >= 0 && f < 8 && r >= 0 && r < 8) mask |= 1n << BigInt(r * 8 + f);
+    }
+    table.push(mask);
+  }
+  return table;
+}
+
+export const KING_ATTACKS = buildTable([
+  [-1, -1], [0, -1], [1, -1],
+  [-1, 0], [1, 0],
+  [-1, 1], [0, 1], [1, 1],
+]);
+
+// Squares a pawn of that color captures on (not where it pushes).
+export const PAWN_ATTACKS = {
+  w: buildTable([[-1, 1], [1, 1]]),
+  b: buildTable([[-1, -1], [1, -1]]),
+};
+
+// RAYS[dir][sq]: every square from sq (exclusive) to the board edge.
+const DIRECTIONS = {
+  n: [0, 1], ne: [1, 1], e: [1, 0], se: [1, -1],
+  s: [0, -1], sw: [-1, -1], w: [-1, 0], nw: [-1, 1],
+};
+// Rays whose square indexes grow away from the origin.
+const ASCENDING = new Set(["n", "ne", "e", "nw"]);
+
+const RAYS = {};
+for (const [dir, [df, dr]] of Object.entries(DIRECTIONS)) {
+  RAYS[dir] = [];
+  for (let sq = 0; sq < 64; sq++) {
+    let mask = 0n;
+    let f = (sq % 8) + df;
+    let r = Math.floor(sq / 8) + dr;
+    while (f >= 0 && f < 8 && r >= 0 && r < 8) {
+      mask |= 1n << BigInt(r * 8 + f);
+      f += df;
+      r += dr;
+    }
+    RAYS[dir].push(mask);
+  }
+}
+
+function slide(sq, occupancy, dirs) {
+  const from = toIndex(sq);
+  let attacks = 0n;
+  for (const dir of dirs) {
+    const ray = RAYS[dir][from];
+    const blockers = ray & occupancy;
+    if (!blockers) {
+      attacks |= ray;
+      continue;
+    }
+    const first = ASCENDING.has(dir) ? lowestBit(blockers) : highestBit(blockers);
+    attacks |= ray ^ RAYS[dir][first];
+  }
+  return attacks;
+}
+
+/**
+ * Squares a bishop on sq attacks given the occupied squares. sq may be an
+ * index or a name ("c1").
+ */
+export function bishopAttacks(sq, occupancy = 0n) {
+  return slide(sq, occupancy, ["ne", "se", "sw", "nw"]);
+}
+
+export function rookAttacks(sq, occupancy = 0n) {
+  return slide(sq, occupancy, ["n", "e", "s", "w"]);
+}
+
+export function queenAttacks(sq, occupancy = 0n) {
+  return bishopAttacks(sq, occupancy) | rookAttacks(sq, occupancy);
+}
+
+/**
+ * Attack mask for any piece: type is "p" | "n" | "b" | "r" | "q" | "k"
+ * (either case), color "w" | "b" only matters for pawns.
+ */
+export function attacksFrom(type, color, sq, occupancy = 0n) {
+  const from = toIndex(sq);
+  switch (type.toLowerCase()) {
+    case "p":
+      return PAWN_ATTACKS[color][from];
+    case "n":
+      return KNIGHT_ATTACKS[from];
+    case "k":
+      return KING_ATTACKS[from];
+    case "b":
+      return bishopAttacks(from, occupancy);
+    case "r":
+      return rookAttacks(from, occupancy);
+    case "q":
+      return queenAttacks(from, occupancy);
+    default:
+      throw new Error(`Invalid piece type: ${type}`);
+  }
+}
+
+/**
+ * Squares strictly between a and b when they share a rank, file or
+ * diagonal; 0n otherwise (including a === b).
+ */
+export function betweenMask(a, b) {
+  const from = toIndex(a);
+  const to = toIndex(b);
+  for (const dir of Object.keys(DIRECTIONS)) {
+    if (bitAt(RAYS[dir][from], to)) return RAYS[dir][from] & ~RAYS[dir][to] & ~(1n << BigInt(to));
+  }
+  return 0n;
+}
+
+/**
+ * Occupancy mask of a chess.js board() array (rank 8 first).
+ */
+export function occupancyFromBoard(board) {
+  let mask = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let file = 0; file < 8; file++) {
+      if (board[row][file]) mask |= 1n << BigInt((7 - row) * 8 + file);
+    }
+  }
+  return mask;
+}
+
+/**
+ * Bitboard form of a FEN, for running geometry over many positions without
+ * a chess.js instance per position.
+ *
+ *   pieces.w.n   white knights; pieces.b.k the black king; ...
+ *   colors.w     every white piece; colors.b likewise
+ *   occupancy    colors.w | colors.b
+ *   turn         "w" | "b"
+ *   castling     "KQkq", any subset, "" when none
+ *   epSquare     "e3" or null
+ *
+ * Throws "Invalid FEN: ..." naming the first malformed field.
+ *
+ * @param {string} fen
+ * @returns {{pieces: object, colors: {w: bigint, b: bigint}, occupancy: bigint, turn: string, castling: string, epSquare: string|null, halfmove: number, fullmove: number}}
+ */
+export function positionFromFen(fen) {
+  const fields = String(fen).trim().split(/\s+/);
+  const [placement, turn = "w", castling = "-", ep = "-", halfmove = "0", fullmove = "1"] = fields;
+  if (fields.length > 6) throw new Error(`Invalid FEN: expected at most 6 fields, got ${fields.length}`);
+
+  const pieces = { w: emptyPieceMasks(), b: emptyPieceMasks() };
+  const rows = placement.split("/");
+  if (rows.length !== 8) throw new Error(`Invalid FEN: expected 8 ranks, got ${rows.length}`);
+
+  rows.forEach((row, i) => {
+    const rank = 7 - i;
+    let file = 0;
+    for (const ch of row) {
+      if (/[1-8]/.test(ch)) {
+        file += Number(ch);
+      } else if (/[pnbrqk]/i.test(ch)) {
+        pieces[ch === ch.toUpperCase() ? "w" : "b"][ch.toLowerCase()] |= 1n << BigInt(rank * 8 + file);
+        file++;
+      } else {
+        throw new Error(`Invalid FEN: unexpected "${ch}" on rank ${rank + 1}`);
+      }
+    }
+    if (file !== 8) throw new Error(`Invalid FEN: rank ${rank + 1} does not have 8 squares`);
+  });
+
+  if (turn !== "w" && turn !== "b") throw new Error(`Invalid FEN: side to move must be w or b, got "${turn}"`);
+  if (!/^(-|K?Q?k?q?)$/.test(castling)) throw new Error(`Invalid FEN: bad castling field "${castling}"`);
+  if (!/^(-|[a-h][36])$/.test(ep)) throw new Error(`Invalid FEN: bad en passant square "${ep}"`);
+  for (const n of [halfmove, fullmove]) {
+    if (!/^\d+$/.test(n)) throw new Error(`Invalid FEN: bad move counter "${n}"`);
+  }
+
+  const colors = { w: unionOf(pieces.w), b: unionOf(pieces.b) };
+  return {
+    pieces,
+    colors,
+    occupancy: colors.w | colors.b,
+    turn,
+    castling: castling === "-" ? "" : castling,
+    epSquare: ep === "-" ? null : ep,
+    halfmove: Number(halfmove),
+    fullmove: Number(fullmove),
+  };
+}
+
+/**
+ * Inverse of positionFromFen.
+ */
+export function positionToFen(position) {
+  const rows = [];
+  for (let rank = 7; rank >= 0; rank--) {
+    let row = "";
+    let empty = 0;
+    for (let file = 0; file < 8; file++) {
+      const piece = pieceAt(position, rank * 8 + file);
+      if (!piece) {
+        empty++;
+        continue;
+      }
+      if (empty) row += empty;
+      empty = 0;
+      row += piece.color === "w" ? piece.type.toUpperCase() : piece.type;
+    }
+    if (empty) row += empty;
+    rows.push(row);
+  }
+
+  return [
+    rows.join("/"),
+    position.turn,
+    position.castling || "-",
+    position.epSquare ?? "-",
+    position.halfmove ?? 0,
+    position.fullmove ?? 1,
+  ].join(" ");
+}
+
+/**
+ * { type, color } of the piece on sq, or null; chess.js get() for a Position.
+ */
+export function pieceAt(position, sq) {
+  const idx = toIndex(sq);
+  for (const color of ["w", "b"]) {
+    if (!bitAt(position.colors[color], idx)) continue;
+    for (const type of PIECE_TYPES) {
+      if (bitAt(position.pieces[color][type], idx)) return { type, color };
+    }
+  }
+  return null;
+}
+
+const PIECE_TYPES = ["p", "n", "b", "r", "q", "k"];
+
+function emptyPieceMasks() {
+  return Object.fromEntries(PIECE_TYPES.map((t) => [t, 0n]));
+}
+
+function unionOf(masks) {
+  return Object.values(masks).reduce((acc, m) => acc | m, 0n);
+}
+
+/* ---------------- pawn structure ---------------- */
+//
+// Every function takes a positionFromFen() result and a color ("w" | "b")
+// and returns a mask. "Ahead" is up the board for White, down for Black.
+// Pawns are assumed to advance freely: blockers are ignored, which is what
+// "can ever attack" means in weak-square talk.
+
+const FILE_A = 0x0101010101010101n;
+const FILE_H = FILE_A << 7n;
+
+function fillUp(m) {
+  m |= m << 8n;
+  m |= m << 16n;
+  m |= m << 32n;
+  return m & ALL_SQUARES_MASK;
+}
+
+function fillDown(m) {
+  m |= m >> 8n;
+  m |= m >> 16n;
+  m |= m >> 32n;
+  return m;
+}
+
+const fillAhead = (m, color) => (color === "w" ? fillUp(m) : fillDown(m));
+const fillBehind = (m, color) => (color === "w" ? fillDown(m) : fillUp(m));
+const stepAhead = (m, color) => (color === "w" ? (m << 8n) & ALL_SQUARES_MASK : m >> 8n);
+const fileFill = (m) => fillUp(m) | fillDown(m);
+const besides = (m) => ((m & ~FILE_A) >> 1n) | (((m & ~FILE_H) << 1n) & ALL_SQUARES_MASK);
+
+function* pawnBits(pawns) {
+  for (let m = pawns; m; m &= m - 1n) yield m & -m;
+}
+
+// Ranks counted from the color's own side: relativeRanks("b", 3, 4) is ranks 6-5.
+function relativeRanks(color, from, to) {
+  let m = 0n;
+  for (let r = from; r <= to; r++) m |= 0xffn << BigInt(8 * (color === "w" ? r - 1 : 8 - r));
+  return m;
+}
+
+/**
+ * Squares the color's pawns attack right now.
+ */
+export function pawnAttacks(position, color) {
+  const pawns = position.pieces[color].p;
+  if (color === "w") return (((pawns & ~FILE_A) << 7n) | ((pawns & ~FILE_H) << 9n)) & ALL_SQUARES_MASK;
+  return ((pawns & ~FILE_A) >> 9n) | ((pawns & ~FILE_H) >> 7n);
+}
+
+/**
+ * Squares the color's pawns attack now or could ever attack by advancing.
+ */
+export function pawnAttackSpan(position, color) {
+  return fillAhead(pawnAttacks(position, color), color);
+}
+
+/**
+ * Squares where a pawn of this color attacks sq, now or after advancing:
+ * sq is weak for that color exactly when none of its pawns stands on one.
+ * pawnAttackOrigins("d4", "b") is c5-c7 and e5-e7.
+ */
+export function pawnAttackOrigins(sq, color) {
+  const enemy = color === "w" ? "b" : "w";
+  return fillBehind(PAWN_ATTACKS[enemy][toIndex(sq)], color) & relativeRanks(color, 2, 7);
+}
+
+/**
+ * Squares no pawn of this color can ever attack: where the other side can
+ * settle a piece for good. weakSquares(pos, "b") holds d4 in the weak-d4
+ * priyome.
+ */
+export function weakSquares(position, color) {
+  return ~pawnAttackSpan(position, color) & ALL_SQUARES_MASK;
+}
+
+/**
+ * Weak squares on the color's own third and fourth ranks.
+ */
+export function holes(position, color) {
+  return weakSquares(position, color) & relativeRanks(color, 3, 4);
+}
+
+/**
+ * Squares on the color's ranks 4-7 that its pawns defend and no enemy pawn
+ * can ever attack.
+ */
+export function outposts(position, color) {
+  const enemy = color === "w" ? "b" : "w";
+  return weakSquares(position, enemy) & pawnAttacks(position, color) & relativeRanks(color, 4, 7);
+}
+
+/**
+ * Pawns with no enemy pawn ahead of them on their own or a neighbouring file.
+ */
+export function passedPawns(position, color) {
+  const enemy = position.pieces[color === "w" ? "b" : "w"].p;
+  let out = 0n;
+  for (const p of pawnBits(position.pieces[color].p)) {
+    const front = fillAhead(stepAhead(p, color), color);
+    if (!((front | besides(front)) & enemy)) out |= p;
+  }
+  return out;
+}
+
+/**
+ * Pawns with no friendly pawn on a neighbouring file.
+ */
+export function isolatedPawns(position, color) {
+  const own = position.pieces[color].p;
+  let out = 0n;
+  for (const p of pawnBits(own)) if (!(besides(fileFill(p)) & own)) out |= p;
+  return out;
+}
+
+/**
+ * Every pawn that shares its file with another pawn of its color.
+ */
+export function doubledPawns(position, color) {
+  const own = position.pieces[color].p;
+  let out = 0n;
+  for (const p of pawnBits(own)) if (fileFill(p) & own & ~p) out |= p;
+  return out;
+}
+
+/**
+ * Pawns that no neighbouring pawn can come up to defend (none level with or
+ * behind them) and whose stop square an enemy pawn attacks. Isolated pawns
+ * are not counted twice.
+ */
+export function backwardPawns(position, color) {
+  const own = position.pieces[color].p;
+  const enemyAttacks = pawnAttacks(position, color === "w" ? "b" : "w");
+  const isolated = isolatedPawns(position, color);
+  let out = 0n;
+  for (const p of pawnBits(own & ~isolated)) {
+    if (besides(fillBehind(p, color)) & own) continue;
+    if (stepAhead(p, color) & enemyAttacks) out |= p;
+  }
+  return out;
+}
+
+/* ---------------- static exchange ---------------- */
+
+// Exchange values: CQL's power, with the king priced so it is never "won".
+export const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 100 };
+
+/**
+ * Every piece of either color attacking sq through `occupancy` (default:
+ * the position's). Removing a piece from occupancy uncovers what stands
+ * behind it, which is how x-rays join an exchange.
+ */
+export function attackersTo(position, sq, occupancy = position.occupancy) {
+  const i = toIndex(sq);
+  const { w, b } = position.pieces;
+  const diag = bishopAttacks(i, occupancy);
+  const line = rookAttacks(i, occupancy);
+  return (
+    ((PAWN_ATTACKS.b[i] & w.p) |
+      (PAWN_ATTACKS.w[i] & b.p) |
+      (KNIGHT_ATTACKS[i] & (w.n | b.n)) |
+      (KING_ATTACKS[i] & (w.k | b.k)) |
+      (diag & (w.b | b.b | w.q | b.q)) |
+      (line & (w.r | b.r | w.q | b.q))) &
+    occupancy
+  );
+}
+
+/**
+ * Static exchange evaluation: what `color` wins by starting a capture
+ * sequence on sq, both sides always recapturing with their least valuable
+ * attacker (x-rays included) and free to stop when going on would lose.
+ * The king only recaptures onto a square nobody attacks any more.
+ *
+ * Returns { gain, captures }: gain in PIECE_VALUES units (0 when there is
+ * no enemy piece on sq or `color` cannot capture it; negative when the
+ * first capture loses material), captures the exchange as actually played,
+ * e.g. [{ color: "w", type: "n", from: "f3" }, { color: "b", type: "p", from: "d6" }].
+ *
+ *   staticExchange(positionFromFen(fen), "e5", "w")  // { gain: 1, captures: [...] }
+ */
+export function staticExchange(position, sq, color) {
+  const i = toIndex(sq);
+  const target = pieceAt(position, i);
+  if (!target || target.color === color) return { gain: 0, captures: [] };
+
+  let occupancy = position.occupancy;
+  let side = color;
+  let onSquare = PIECE_VALUES[target.type];
+  const gains = [];
+  const captures = [];
+
+  for (;;) {
+    const attackers = attackersTo(position, i, occupancy) & position.colors[side];
+    const lva = leastValuable(position, side, attackers);
+    if (!lva) break;
+    if (lva.type === "k") {
+      const other = side === "w" ? "b" : "w";
+      if (attackersTo(position, i, occupancy & ~lva.bit) & position.colors[other]) break;
+    }
+    gains.push(onSquare - (gains.at(-1) ?? 0));
+    captures.push({ color: side, type: lva.type, from: indexToName(lowestBit(lva.bit)) });
+    onSquare = PIECE_VALUES[lva.type];
+    occupancy &= ~lva.bit;
+    side = side === "w" ? "b" : "w";
+  }
+
+  if (!gains.length) return { gain: 0, captures: [] };
+
+  // gains[d] is what the side making capture d has won if the exchange
+  // stopped right after it. Fold back: each side only recaptures when that
+  // beats stopping. The first capture is always made; SEE is its value.
+  const best = [...gains];
+  for (let d = best.length - 1; d > 0; d--) best[d - 1] = -Math.max(-best[d - 1], best[d]);
+
+  let played = 1;
+  while (played < gains.length && best[played] > -gains[played - 1]) played++;
+  return { gain: best[0] || 0, captures: captures.slice(0, played) };
+}
+
+function leastValuable(position, color, attackers) {
+  for (const type of PIECE_TYPES) {
+    const m = attackers & position.pieces[color][type];
+    if (m) return { type, bit: m & -m };
+  }
+  return null;
+}
+
+function indexToName(i) {
+  return "abcdefgh"[i % 8] + String(Math.floor(i / 8) + 1);
+}
+
+function lowestBit(mask) {
+  return (mask & -mask).toString(2).length - 1;
+}
+
+function highestBit(mask) {
+  return mask.toString(2).length - 1;
+}
+
+function toIndex(sq) {
+  return typeof sq === "number" ? sq : squareToIndex(sq);
+}
+
+export function squareToIndex(sq) {
   if (typeof sq !== "string" || sq.length !== 2) throw new Error(`Invalid square: ${sq}`);
 
   const file = "abcdefgh".indexOf(sq[0]);
@@ -96,3 +651,147 @@ export function bitboardToAscii(mask, { label } = {}) {
   lines.push("  +-----------------+");
   return lines.join("\n");
 }
+
+/* ---------------- layered diagrams ---------------- */
+
+// Same palette as the board overlay in index.html ([%csl] letters).
+export const CSL_COLORS = { G: "#16a34a", R: "#dc2626", B: "#2563eb", Y: "#d97706" };
+
+const LAYER_GLYPHS = ["*", "o", "x", "+", "#", "~"];
+const LAYER_COLORS = ["G", "R", "B", "Y"];
+
+// Fill in each layer's glyph / color from its position when not given.
+function normalizeLayers(layers) {
+  return layers.map((layer, i) => ({
+    ...layer,
+    glyph: layer.glyph ?? LAYER_GLYPHS[i % LAYER_GLYPHS.length],
+    color: layer.color ?? LAYER_COLORS[i % LAYER_COLORS.length],
+  }));
+}
+
+// Index of the last layer holding idx (later layers draw over earlier ones).
+function topLayer(layers, idx) {
+  for (let i = layers.length - 1; i >= 0; i--) if (bitAt(layers[i].mask, idx)) return i;
+  return -1;
+}
+
+/**
+ * Several labeled masks, and optionally the pieces of a FEN, in one ASCII
+ * diagram. Each square shows its piece (or ".") followed by the glyph of
+ * the last layer containing it; a legend follows the board.
+ *
+ *   renderLayers(
+ *     [{ mask: KNIGHT_ATTACKS[18], label: "N from c3" }, { mask: forks, label: "forks", glyph: "!" }],
+ *     { fen, label: "Knight fork" }
+ *   )
+ *
+ * @param {Array<{mask: bigint, label?: string, glyph?: string, color?: string}>} layers
+ * @param {object} [options]
+ * @param {string} [options.fen] pieces to draw under the layers
+ * @param {string} [options.label] title line
+ * @returns {string}
+ */
+export function renderLayers(layers, { fen, label } = {}) {
+  const ls = normalizeLayers(layers);
+  const position = fen ? positionFromFen(fen) : null;
+
+  const lines = [];
+  if (label) lines.push(label);
+  lines.push("    a  b  c  d  e  f  g  h");
+  lines.push("  +------------------------+");
+
+  for (let rank = 7; rank >= 0; rank--) {
+    let row = `${rank + 1} |`;
+    for (let file = 0; file < 8; file++) {
+      const idx = rank * 8 + file;
+      const piece = position ? pieceAt(position, idx) : null;
+      const top = topLayer(ls, idx);
+      row += " " + (piece ? (piece.color === "w" ? piece.type.toUpperCase() : piece.type) : ".");
+      row += top >= 0 ? ls[top].glyph : " ";
+    }
+    row += "|";
+    lines.push(row);
+  }
+
+  lines.push("  +------------------------+");
+  for (const layer of ls) {
+    lines.push(`   ${layer.glyph} ${layer.label ?? ""} (${countBits(layer.mask)})`.trimEnd());
+  }
+  return lines.join("\n");
+}
+
+/**
+ * The same diagram as an SVG board: layers are filled squares in the
+ * [%csl] colors (G / R / B / Y), pieces are Unicode glyphs.
+ *
+ * @param {Array<{mask: bigint, label?: string, color?: string}>} layers
+ * @param {object} [options]
+ * @param {string} [options.fen]
+ * @param {string} [options.label] SVG <title>
+ * @param {number} [options.size=320] width and height in px
+ * @returns {string}
+ */
+export function renderLayersSvg(layers, { fen, label, size = 320 } = {}) {
+  const ls = normalizeLayers(layers);
+  const position = fen ? positionFromFen(fen) : null;
+  const cell = size / 8;
+
+  const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`];
+  if (label) parts.push(`<title>${escapeXml(label)}</title>`);
+
+  for (let rank = 7; rank >= 0; rank--) {
+    for (let file = 0; file < 8; file++) {
+      const idx = rank * 8 + file;
+      const x = file * cell;
+      const y = (7 - rank) * cell;
+      const fill = (file + rank) % 2 === 0 ? "#b58863" : "#f0d9b5";
+      parts.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="${fill}"/>`);
+
+      const top = topLayer(ls, idx);
+      if (top >= 0) {
+        const color = CSL_COLORS[ls[top].color] ?? CSL_COLORS.G;
+        parts.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="${color}" fill-opacity="0.5"/>`);
+      }
+
+      const piece = position ? pieceAt(position, idx) : null;
+      if (piece) {
+        const glyph = PIECE_GLYPHS[piece.color][piece.type];
+        parts.push(
+          `<text x="${x + cell / 2}" y="${y + cell / 2}" font-size="${cell * 0.8}" text-anchor="middle" dominant-baseline="central">${glyph}</text>`
+        );
+      }
+    }
+  }
+
+  parts.push("</svg>");
+  return parts.join("\n");
+}
+
+/**
+ * [%csl ...] tag for the layers, one color per square (the last layer
+ * wins), squares in a1..h8 order; "" when every layer is empty.
+ */
+export function layersToCsl(layers) {
+  const ls = normalizeLayers(layers);
+  const items = [];
+  for (let idx = 0; idx < 64; idx++) {
+    const top = topLayer(ls, idx);
+    if (top >= 0) items.push(ls[top].color + "abcdefgh"[idx % 8] + (Math.floor(idx / 8) + 1));
+  }
+  return items.length ? `[%csl ${items.join(",")}]` : "";
+}
+
+const PIECE_GLYPHS = {
+  w: { k: "♔", q: "♕", r: "♖", b: "♗", n: "♘", p: "♙" },
+  b: { k: "♚", q: "♛", r: "♜", b: "♝", n: "♞", p: "♟" },
+};
+
+function countBits(mask) {
+  let n = 0;
+  for (let m = mask; m; m &= m - 1n) n++;
+  return n;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
@@ -1,5 +1,37 @@
 // geometry.zero.test.js
-import { forkable } from "./geometry.js";
+import {
+  forkable,
+  forkSquares,
+  KNIGHT_ATTACKS,
+  KING_ATTACKS,
+  PAWN_ATTACKS,
+  bishopAttacks,
+  rookAttacks,
+  queenAttacks,
+  attacksFrom,
+  betweenMask,
+  occupancyFromBoard,
+  positionFromFen,
+  positionToFen,
+  pieceAt,
+  bitboardToAscii,
+  renderLayers,
+  renderLayersSvg,
+  layersToCsl,
+  pawnAttacks,
+  pawnAttackSpan,
+  pawnAttackOrigins,
+  weakSquares,
+  holes,
+  outposts,
+  passedPawns,
+  isolatedPawns,
+  doubledPawns,
+  backwardPawns,
+  attackersTo,
+  staticExchange,
+} from "./geometry.js";
+import { fromSquares as mask } from "./squareset.js";
 
 function assertEqual(actual, expected, message) {
   if (actual !== expected) {
@@ -17,6 +49,171 @@ const tests = [
   { name: "a1 & h8 disjoint", a: "a1", b: "h8", expected: false },
 ];
 
+// Pawn structures: White a4 b5 c3 e5 f2 f3 against a7 c7 f7 b6 d6, two
+// free pawns (a5, g7) beside a blocked d-file, and the weak-d4 priyome
+// with Pc3 / Pe3 holding d4.
+const STRUCTURE = positionFromFen("4k3/p1p2p2/1p1p4/1P2P3/P7/2P2P2/5P2/4K3 w - - 0 1");
+const PASSERS = positionFromFen("4k3/6p1/8/P2p4/8/3P4/8/4K3 w - - 0 1");
+const WEAK_D4 = positionFromFen("3r2k1/pp3ppp/4b3/3p4/8/2PBPN2/PP3PPP/6K1 w - - 0 1");
+
+const attackTests = [
+  { name: "king in the corner", got: () => KING_ATTACKS[0], expected: "a2 b1 b2" },
+  { name: "king in the middle", got: () => KING_ATTACKS[27], expected: "c3 d3 e3 c4 e4 c5 d5 e5" },
+  { name: "white pawn e4", got: () => PAWN_ATTACKS.w[28], expected: "d5 f5" },
+  { name: "black pawn a7 (edge)", got: () => PAWN_ATTACKS.b[48], expected: "b6" },
+  { name: "white pawn h8 (no squares ahead)", got: () => PAWN_ATTACKS.w[63], expected: "" },
+  { name: "rook a1, empty board", got: () => rookAttacks("a1"), expected: "a2 a3 a4 a5 a6 a7 a8 b1 c1 d1 e1 f1 g1 h1" },
+  { name: "rook a1 stops at (and hits) a4 and d1", got: () => rookAttacks(0, mask("a4 d1 h8")), expected: "a2 a3 a4 b1 c1 d1" },
+  { name: "bishop d4 blocked on f6", got: () => bishopAttacks("d4", mask("f6 b2")), expected: "e5 f6 c5 b6 a7 c3 b2 e3 f2 g1" },
+  { name: "queen h8 hemmed in", got: () => queenAttacks("h8", mask("g8 g7 h7")), expected: "g8 g7 h7" },
+  { name: "attacksFrom: black pawn, knight, bishop", got: () => attacksFrom("p", "b", "e5") | attacksFrom("N", "w", "a1") | attacksFrom("b", "w", "h1", mask("g2")), expected: "d4 f4 b3 c2 g2" },
+  { name: "between b2 and g7", got: () => betweenMask("b2", "g7"), expected: "c3 d4 e5 f6" },
+  { name: "between h8 and h1", got: () => betweenMask(63, 7), expected: "h2 h3 h4 h5 h6 h7" },
+  { name: "between off-line and adjacent squares", got: () => betweenMask("a1", "b3") | betweenMask("d4", "e5"), expected: "" },
+  {
+    name: "occupancy from a chess.js board()",
+    got: () => {
+      const board = Array.from({ length: 8 }, () => Array(8).fill(null));
+      board[0][4] = { type: "k", color: "b" }; // e8
+      board[7][0] = { type: "r", color: "w" }; // a1
+      board[4][3] = { type: "p", color: "w" }; // d4
+      return occupancyFromBoard(board);
+    },
+    expected: "e8 a1 d4",
+  },
+  { name: "forkSquares: knight, all targets", got: () => forkSquares("N", ["c3", "e3"]), expected: "d1 d5" },
+  { name: "forkSquares: knight, 2 of 3", got: () => forkSquares("n", ["c3", "e3", "d6"], 0n, { min: 2 }), expected: "d1 d5 c4 e4 b5 f5" },
+  { name: "forkSquares: pawn color comes from the letter", got: () => forkSquares("P", ["d5", "f5"]) | forkSquares("p", ["b4", "d4"]), expected: "e4 c5" },
+  { name: "forkSquares: queen, empty board", got: () => forkSquares("Q", ["a1", "h8", "a8"]), expected: "h1" },
+  { name: "forkSquares: rook, blocked by c1", got: () => forkSquares("R", ["a1", "h8"], mask("c1")), expected: "a8" },
+  { name: "forkSquares: alternative target squares", got: () => forkSquares("B", [["a1", "h1"], "d8"]), expected: "f6" },
+  { name: "position: white knights", got: () => positionFromFen(START_FEN).pieces.w.n, expected: "b1 g1" },
+  { name: "position: black pieces", got: () => positionFromFen("4k3/8/8/3p4/8/8/8/R3K2R w KQ - 0 1").colors.b, expected: "e8 d5" },
+  { name: "position: occupancy blocks sliders", got: () => rookAttacks("a1", positionFromFen("4k3/8/8/8/8/8/P7/R3K2R w KQ - 0 1").occupancy), expected: "a2 b1 c1 d1 e1" },
+  { name: "pawnAttacks: black", got: () => pawnAttacks(STRUCTURE, "b"), expected: "a5 c5 e5 b6 d6 e6 g6" },
+  { name: "pawnAttackSpan: white c3 reaches the b/d files to the top", got: () => pawnAttackSpan(positionFromFen("4k3/8/8/8/8/2P5/8/4K3 w - - 0 1"), "w"), expected: "b4 d4 b5 d5 b6 d6 b7 d7 b8 d8" },
+  { name: "pawnAttackOrigins: d4 for Black (weakd4.cql)", got: () => pawnAttackOrigins("d4", "b"), expected: "c5 e5 c6 e6 c7 e7" },
+  { name: "pawnAttackOrigins: b3 for White stops at rank 2", got: () => pawnAttackOrigins("b3", "w"), expected: "a2 c2" },
+  { name: "weakSquares: d4 is weak for Black", got: () => weakSquares(WEAK_D4, "b") & mask("d4 c4 e4"), expected: "d4" },
+  { name: "holes: White's third and fourth ranks", got: () => holes(STRUCTURE, "w"), expected: "a3 b3 c3 d3 f3 h3 a4 c4 f4 h4" },
+  { name: "holes: Black's sixth and fifth ranks", got: () => holes(STRUCTURE, "b"), expected: "f5 h5 a6 c6 f6 h6" },
+  { name: "outposts: pawn-held, out of reach of enemy pawns", got: () => outposts(STRUCTURE, "w") | outposts(WEAK_D4, "w"), expected: "a6 c6 f6 d4" },
+  { name: "outposts: Black", got: () => outposts(STRUCTURE, "b"), expected: "a5 c5" },
+  { name: "passedPawns", got: () => passedPawns(PASSERS, "w") | passedPawns(PASSERS, "b"), expected: "a5 g7" },
+  { name: "isolatedPawns", got: () => isolatedPawns(STRUCTURE, "b") | isolatedPawns(STRUCTURE, "w"), expected: "f7" },
+  { name: "doubledPawns", got: () => doubledPawns(STRUCTURE, "w"), expected: "f2 f3" },
+  { name: "backwardPawns", got: () => backwardPawns(STRUCTURE, "w") | backwardPawns(STRUCTURE, "b"), expected: "a4 a7 c7" },
+  { name: "attackersTo: both colors, x-ray only once the front piece is gone", got: () => attackersTo(positionFromFen("4k3/4r3/8/4p3/8/8/4R3/4R1K1 w - - 0 1"), "e5"), expected: "e2 e7" },
+  {
+    name: "tables agree with sliders on an empty board (knight table unchanged)",
+    got: () => {
+      let bad = 0n;
+      for (let sq = 0; sq < 64; sq++) {
+        if (queenAttacks(sq) !== (bishopAttacks(sq) | rookAttacks(sq))) bad |= 1n << BigInt(sq);
+        if ((KING_ATTACKS[sq] & ~queenAttacks(sq)) !== 0n) bad |= 1n << BigInt(sq);
+        if ((KNIGHT_ATTACKS[sq] & queenAttacks(sq)) !== 0n) bad |= 1n << BigInt(sq);
+      }
+      return bad;
+    },
+    expected: "",
+  },
+];
+
+// Static exchange on one square: "gain: captures as played".
+const exchangeTests = [
+  { name: "see: undefended pawn", fen: "1k1r4/1pp4p/p7/4p3/8/P5P1/1PP4P/2K1R3 w - - 0 1", square: "e5", color: "w", expected: "1: Re1" },
+  { name: "see: knight for pawn, x-rayed queen behind the rook", fen: "1k1r3q/1ppn3p/p4b2/4p3/8/P2N2P1/1PP1R1BP/2K1Q3 w - - 0 1", square: "e5", color: "w", expected: "-2: Nd3 nd7" },
+  { name: "see: even trade", fen: "4k3/8/3p4/4n3/8/5N2/8/4K3 w - - 0 1", square: "e5", color: "w", expected: "0: Nf3 pd6" },
+  { name: "see: a queen taking a defended knight loses", fen: "4k3/8/2p5/3n4/8/8/8/3QK3 w - - 0 1", square: "d5", color: "w", expected: "-6: Qd1 pc6" },
+  { name: "see: knight wins the exchange", fen: "4k3/8/3p4/4r3/8/5N2/8/4K3 w - - 0 1", square: "e5", color: "w", expected: "2: Nf3 pd6" },
+  { name: "see: doubled rooks, Black stops", fen: "4k3/4r3/8/4p3/8/8/4R3/4R1K1 w - - 0 1", square: "e5", color: "w", expected: "1: Re2" },
+  { name: "see: pawn first, not the queen; recapturing is no better", fen: "4k3/8/5p2/4n3/3P4/8/8/4QK2 w - - 0 1", square: "e5", color: "w", expected: "3: Pd4" },
+  { name: "see: king may only take undefended", fen: "4k3/8/1n6/3p4/4K3/8/8/8 w - - 0 1", square: "d5", color: "w", expected: "0: " },
+  { name: "see: own piece or empty square", fen: "4k3/8/8/4N3/8/8/8/4K3 w - - 0 1", square: "e5", color: "w", expected: "0: " },
+];
+
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+// positionFromFen <-> positionToFen, and the FEN errors.
+const positionTests = [
+  { name: "fen round trip: start", got: () => positionToFen(positionFromFen(START_FEN)), expected: START_FEN },
+  {
+    name: "fen round trip: castling, en passant and counters",
+    got: () => positionToFen(positionFromFen("r3k2r/pp3ppp/8/2pPp3/8/8/PP3PPP/R3K2R w Kq c6 0 14")),
+    expected: "r3k2r/pp3ppp/8/2pPp3/8/8/PP3PPP/R3K2R w Kq c6 0 14",
+  },
+  { name: "fen fields default when missing", got: () => positionToFen(positionFromFen("8/8/8/8/8/8/8/K6k")), expected: "8/8/8/8/8/8/8/K6k w - - 0 1" },
+  {
+    name: "position fields",
+    got: () => {
+      const p = positionFromFen("4k3/8/8/8/4Pp2/8/8/4K3 b - e3 0 1");
+      return JSON.stringify([p.turn, p.castling, p.epSquare, pieceAt(p, "f4"), pieceAt(p, 0)]);
+    },
+    expected: '["b","","e3",{"type":"p","color":"b"},null]',
+  },
+  { name: "fen error: ranks", got: () => fenError("8/8/8 w - - 0 1"), expected: "Invalid FEN: expected 8 ranks, got 3" },
+  { name: "fen error: rank too long", got: () => fenError("4k3/8/8/8/8/8/8/4K3R w - - 0 1"), expected: "Invalid FEN: rank 1 does not have 8 squares" },
+  { name: "fen error: piece letter", got: () => fenError("4k3/8/8/8/8/8/8/4X3 w - - 0 1"), expected: 'Invalid FEN: unexpected "X" on rank 1' },
+  { name: "fen error: side to move", got: () => fenError("4k3/8/8/8/8/8/8/4K3 x - - 0 1"), expected: 'Invalid FEN: side to move must be w or b, got "x"' },
+  { name: "fen error: castling", got: () => fenError("4k3/8/8/8/8/8/8/4K3 w qK - 0 1"), expected: 'Invalid FEN: bad castling field "qK"' },
+  { name: "fen error: en passant", got: () => fenError("4k3/8/8/8/8/8/8/4K3 w - e4 0 1"), expected: 'Invalid FEN: bad en passant square "e4"' },
+];
+
+// Layered diagrams: a knight fork of d7 and f7 from e5.
+const FORK_FEN = "6k1/8/8/4N3/3P4/8/8/Q3K3 w - - 0 1";
+const forkLayers = () => [
+  { mask: mask("d7 f7"), label: "targets", color: "R" },
+  { mask: forkSquares("N", ["d7", "f7"]), label: "forks" },
+];
+
+const renderTests = [
+  {
+    name: "renderLayers: pieces, glyphs and legend",
+    got: () => renderLayers(forkLayers(), { fen: FORK_FEN, label: "fork" }),
+    expected: [
+      "fork",
+      "    a  b  c  d  e  f  g  h",
+      "  +------------------------+",
+      "8 | .  .  .  .  .  .  k  . |",
+      "7 | .  .  .  .* .  .* .  . |",
+      "6 | .  .  .  .  .  .  .  . |",
+      "5 | .  .  .  .  No .  .  . |",
+      "4 | .  .  .  P  .  .  .  . |",
+      "3 | .  .  .  .  .  .  .  . |",
+      "2 | .  .  .  .  .  .  .  . |",
+      "1 | Q  .  .  .  K  .  .  . |",
+      "  +------------------------+",
+      "   * targets (2)",
+      "   o forks (1)",
+    ].join("\n"),
+  },
+  {
+    name: "renderLayers: later layers draw over earlier ones",
+    got: () => renderLayers([{ mask: mask("a1 b1") }, { mask: mask("b1"), glyph: "!" }]).split("\n")[9],
+    expected: "1 | .* .! .  .  .  .  .  . |",
+  },
+  { name: "layersToCsl: one color per square, last layer wins", got: () => layersToCsl(forkLayers()), expected: "[%csl Re5,Rd7,Rf7]" },
+  { name: "layersToCsl: default colors and empty layers", got: () => layersToCsl([{ mask: mask("h8") }, { mask: 0n }, { mask: mask("a1") }]) + "|" + layersToCsl([{ mask: 0n }]), expected: "[%csl Ba1,Gh8]|" },
+  {
+    name: "renderLayersSvg: 64 squares, overlays in csl colors, pieces",
+    got: () => {
+      const svg = renderLayersSvg(forkLayers(), { fen: FORK_FEN, label: "a < b", size: 160 });
+      const count = (re) => (svg.match(re) ?? []).length;
+      return JSON.stringify([count(/<rect /g), count(/fill="#dc2626"/g), count(/<text /g), svg.includes("<title>a &lt; b</title>"), svg.includes("♘")]);
+    },
+    expected: JSON.stringify([67, 3, 5, true, true]),
+  },
+];
+
+function fenError(fen) {
+  try {
+    positionFromFen(fen);
+    return "no error";
+  } catch (e) {
+    return e.message;
+  }
+}
+
 console.log("Running geometry zero-dep tests (verbose enabled)...\n");
 
 let passed = 0;
@@ -32,5 +229,53 @@ for (const t of tests) {
   }
 }
 
-console.log(`\n${passed}/${tests.length} tests passed`);
-if (passed !== tests.length) process.exit(1);
+for (const t of attackTests) {
+  try {
+    const got = t.got();
+    assertEqual(
+      bitboardToAscii(got),
+      bitboardToAscii(mask(t.expected)),
+      `❌ ${t.name}`
+    );
+    console.log(`✅ ${t.name}`);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+for (const t of positionTests) {
+  try {
+    assertEqual(t.got(), t.expected, `❌ ${t.name}`);
+    console.log(`✅ ${t.name}`);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+for (const t of renderTests) {
+  try {
+    assertEqual(t.got(), t.expected, `❌ ${t.name}`);
+    console.log(`✅ ${t.name}`);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+for (const t of exchangeTests) {
+  try {
+    const { gain, captures } = staticExchange(positionFromFen(t.fen), t.square, t.color);
+    const played = captures.map((c) => (c.color === "w" ? c.type.toUpperCase() : c.type) + c.from).join(" ");
+    assertEqual(`${gain}: ${played}`, t.expected, `❌ ${t.name}`);
+    console.log(`✅ ${t.name}`);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+const total = tests.length + attackTests.length + positionTests.length + renderTests.length + exchangeTests.length;
+console.log(`\n${passed}/${total} tests passed`);
+if (passed !== total) process.exit(1);
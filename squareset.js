@@ -0,0 +1,234 @@
+// squareset.js
+// Square sets as BigInt bitboards, with the vocabulary CQL uses for them.
+// Same mapping as geometry.js: bit 0 = a1, bit 7 = h1, bit 56 = a8, bit 63 = h8.
+//
+// Every function takes and returns plain BigInt masks, so results mix freely
+// with KNIGHT_ATTACKS, rookAttacks(), forkSquares() and friends. Squares may
+// be given as names ("e4") or indexes (28).
+
+import { squareToIndex } from "./geometry.js";
+
+export { squareToIndex };
+
+export const EMPTY = 0n;
+export const ALL = (1n << 64n) - 1n;
+
+export const DARK = 0xaa55aa55aa55aa55n; // a1 is dark
+export const LIGHT = ALL ^ DARK;
+
+export function indexToSquare(index) {
+  if (!Number.isInteger(index) || index < 0 || index > 63) throw new Error(`Invalid square index: ${index}`);
+  return "abcdefgh"[index % 8] + String(Math.floor(index / 8) + 1);
+}
+
+/* ---------------- conversion ---------------- */
+
+/**
+ * Mask from squares: an array (["e4", 27]) or a string ("e4 d4", "e4,d4").
+ */
+export function fromSquares(squares) {
+  const list = typeof squares === "string" ? squares.split(/[\s,]+/).filter(Boolean) : squares;
+  let mask = 0n;
+  for (const sq of list) mask |= bit(sq);
+  return mask;
+}
+
+/**
+ * Square names in index order (a1, b1, ..., h8).
+ */
+export function toSquares(mask) {
+  return [...iterate(mask)].map(indexToSquare);
+}
+
+/**
+ * Yield the index of every square in the set, lowest first.
+ */
+export function* iterate(mask) {
+  let m = mask & ALL;
+  while (m) {
+    const low = m & -m;
+    yield low.toString(2).length - 1;
+    m ^= low;
+  }
+}
+
+export function popcount(mask) {
+  let n = 0;
+  for (let m = mask & ALL; m; m &= m - 1n) n++;
+  return n;
+}
+
+export function has(mask, sq) {
+  return (mask & bit(sq)) !== 0n;
+}
+
+/* ---------------- algebra ---------------- */
+
+export function union(...masks) {
+  return masks.reduce((acc, m) => acc | m, 0n);
+}
+
+export function intersect(...masks) {
+  return masks.reduce((acc, m) => acc & m, ALL);
+}
+
+export function diff(a, b) {
+  return a & ~b & ALL;
+}
+
+/* ---------------- lines ---------------- */
+
+/**
+ * fileMask("e") or fileMask(4); rankMask(1) .. rankMask(8).
+ */
+export function fileMask(file) {
+  const f = typeof file === "number" ? file : "abcdefgh".indexOf(file);
+  if (f < 0 || f > 7) throw new Error(`Invalid file: ${file}`);
+  return 0x0101010101010101n << BigInt(f);
+}
+
+export function rankMask(rank) {
+  const r = Number(rank) - 1;
+  if (!Number.isInteger(r) || r < 0 || r > 7) throw new Error(`Invalid rank: ${rank}`);
+  return 0xffn << BigInt(8 * r);
+}
+
+/**
+ * The a1-h8 direction diagonal through sq, and the a8-h1 direction one.
+ */
+export function diagonalMask(sq) {
+  return lineThrough(sq, 1, 1);
+}
+
+export function antiDiagonalMask(sq) {
+  return lineThrough(sq, 1, -1);
+}
+
+function lineThrough(sq, df, dr) {
+  const i = toIndex(sq);
+  let mask = 0n;
+  for (const s of [1, -1]) {
+    let f = i % 8;
+    let r = Math.floor(i / 8);
+    while (f >= 0 && f < 8 && r >= 0 && r < 8) {
+      mask |= 1n << BigInt(r * 8 + f);
+      f += s * df;
+      r += s * dr;
+    }
+  }
+  return mask;
+}
+
+/* ---------------- shifts ---------------- */
+
+/**
+ * Move every square right by df files and up by dr ranks (negative for
+ * left / down). Squares pushed off the board are dropped, never wrapped.
+ */
+export function shift(mask, df, dr) {
+  if (Math.abs(df) >= 8 || Math.abs(dr) >= 8) return EMPTY;
+  let m = mask & ALL;
+  if (df > 0) m = (m & ~filesFrom(8 - df)) << BigInt(df);
+  if (df < 0) m = (m & ~filesTo(-df)) >> BigInt(-df);
+  if (dr > 0) m <<= BigInt(8 * dr);
+  if (dr < 0) m >>= BigInt(-8 * dr);
+  return m & ALL;
+}
+
+export const up = (mask, n = 1) => shift(mask, 0, n);
+export const down = (mask, n = 1) => shift(mask, 0, -n);
+export const left = (mask, n = 1) => shift(mask, -n, 0);
+export const right = (mask, n = 1) => shift(mask, n, 0);
+
+/**
+ * CQL's `flip up dr right df X`: the union of X shifted by all eight
+ * reflections / rotations of the offset. flipShift(e4, 1, 2) is every
+ * square a knight on e4 reaches.
+ */
+export function flipShift(mask, df, dr) {
+  const offsets = new Set();
+  for (const [a, b] of [[df, dr], [dr, df]]) {
+    for (const sa of [1, -1]) for (const sb of [1, -1]) offsets.add(`${sa * a},${sb * b}`);
+  }
+  let out = 0n;
+  for (const o of offsets) {
+    const [x, y] = o.split(",").map(Number);
+    out |= shift(mask, x, y);
+  }
+  return out;
+}
+
+// Files h, g, ... (from the right) and a, b, ... (from the left).
+function filesFrom(f) {
+  let m = 0n;
+  for (let i = f; i < 8; i++) m |= fileMask(i);
+  return m;
+}
+
+function filesTo(n) {
+  let m = 0n;
+  for (let i = 0; i < n; i++) m |= fileMask(i);
+  return m;
+}
+
+/* ---------------- transforms ---------------- */
+
+/**
+ * Rank 1 <-> rank 8 (CQL flipvertical; also what flipcolor does to squares).
+ */
+export function flipVertical(mask) {
+  return mapSquares(mask, (f, r) => [f, 7 - r]);
+}
+
+/**
+ * File a <-> file h (CQL fliphorizontal).
+ */
+export function flipHorizontal(mask) {
+  return mapSquares(mask, (f, r) => [7 - f, r]);
+}
+
+/**
+ * Mirror in the a1-h8 diagonal: a8 <-> h1.
+ */
+export function flipDiagonal(mask) {
+  return mapSquares(mask, (f, r) => [r, f]);
+}
+
+/**
+ * Mirror in the a8-h1 diagonal: a1 <-> h8.
+ */
+export function flipAntiDiagonal(mask) {
+  return mapSquares(mask, (f, r) => [7 - r, 7 - f]);
+}
+
+/**
+ * The eight images of the set under the board's symmetries (CQL flip),
+ * identity first. Duplicates are kept so index i is always transform i.
+ */
+export function flips(mask) {
+  const h = flipHorizontal;
+  const v = flipVertical;
+  const d = flipDiagonal;
+  return [mask, h(mask), v(mask), h(v(mask)), d(mask), h(d(mask)), v(d(mask)), h(v(d(mask)))];
+}
+
+function mapSquares(mask, fn) {
+  let out = 0n;
+  for (const i of iterate(mask)) {
+    const [f, r] = fn(i % 8, Math.floor(i / 8));
+    out |= 1n << BigInt(r * 8 + f);
+  }
+  return out;
+}
+
+/* ---------------- helpers ---------------- */
+
+function toIndex(sq) {
+  return typeof sq === "number" ? sq : squareToIndex(sq);
+}
+
+function bit(sq) {
+  const i = toIndex(sq);
+  if (!Number.isInteger(i) || i < 0 || i > 63) throw new Error(`Invalid square: ${sq}`);
+  return 1n << BigInt(i);
+}
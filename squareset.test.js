@@ -0,0 +1,113 @@
+// squareset.test.js
+import { KNIGHT_ATTACKS, bitboardToAscii } from "./geometry.js";
+import {
+  ALL,
+  DARK,
+  LIGHT,
+  fromSquares,
+  toSquares,
+  iterate,
+  popcount,
+  has,
+  union,
+  intersect,
+  diff,
+  fileMask,
+  rankMask,
+  diagonalMask,
+  antiDiagonalMask,
+  shift,
+  up,
+  down,
+  left,
+  right,
+  flipShift,
+  flipVertical,
+  flipHorizontal,
+  flipDiagonal,
+  flipAntiDiagonal,
+  flips,
+  squareToIndex,
+  indexToSquare,
+} from "./squareset.js";
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  expected: ${expected}\n  got: ${actual}`);
+  }
+}
+
+const m = fromSquares;
+
+// Square-set results, compared as boards so a failure shows the picture.
+const setTests = [
+  { name: "union", got: () => union(m("a1"), m("b2 c3"), m("a1 h8")), expected: "a1 b2 c3 h8" },
+  { name: "intersect", got: () => intersect(m("a1 b2 c3"), m("b2 c3 d4"), m("c3 b2")), expected: "b2 c3" },
+  { name: "diff", got: () => diff(m("a1 b2 c3"), m("b2 h8")), expected: "a1 c3" },
+  { name: "fileMask e", got: () => fileMask("e"), expected: "e1 e2 e3 e4 e5 e6 e7 e8" },
+  { name: "rankMask 7", got: () => rankMask(7), expected: "a7 b7 c7 d7 e7 f7 g7 h7" },
+  { name: "diagonal through c1", got: () => diagonalMask("c1"), expected: "c1 d2 e3 f4 g5 h6" },
+  { name: "anti-diagonal through e4", got: () => antiDiagonalMask("e4"), expected: "b7 c6 d5 e4 f3 g2 h1 a8" },
+  { name: "dark & light split the board", got: () => intersect(DARK, m("a1 b1 h1 a8 h8")), expected: "a1 h8" },
+  { name: "up 2 drops rank 7-8", got: () => up(m("e4 a7 h8"), 2), expected: "e6" },
+  { name: "down 1", got: () => down(m("a1 e4")), expected: "e3" },
+  { name: "right 1 never wraps h into a", got: () => right(m("h1 g4 a8")), expected: "h4 b8" },
+  { name: "left 1 never wraps a into h", got: () => left(m("a1 b2 c3 h8")), expected: "a2 b3 g8" },
+  { name: "shift up 1 right 2", got: () => shift(m("e4 g1"), 2, 1), expected: "g5" },
+  { name: "shift 8 or more files / ranks empties the set", got: () => shift(ALL, 9, 0) | shift(ALL, -12, 0) | shift(ALL, 0, 8) | shift(ALL, 3, -9), expected: "" },
+  { name: "flip up 2 right 1 from e4 is a knight", got: () => flipShift(m("e4"), 1, 2), expected: toSquares(KNIGHT_ATTACKS[28]).join(" ") },
+  { name: "flip up 1 right 1 from a1", got: () => flipShift(m("a1"), 1, 1), expected: "b2" },
+  { name: "flipVertical", got: () => flipVertical(m("a1 e2 h8")), expected: "a8 e7 h1" },
+  { name: "flipHorizontal", got: () => flipHorizontal(m("a1 e2 h8")), expected: "h1 d2 a8" },
+  { name: "flipDiagonal", got: () => flipDiagonal(m("a8 b1 d4")), expected: "h1 a2 d4" },
+  { name: "flipAntiDiagonal", got: () => flipAntiDiagonal(m("a1 b1 h8")), expected: "h8 h7 a1" },
+  { name: "flips of b1 are the 8 knight homes", got: () => union(...flips(m("b1"))), expected: "b1 g1 b8 g8 a2 h2 a7 h7" },
+];
+
+// Plain values.
+const valueTests = [
+  { name: "fromSquares accepts lists, indexes and commas", got: () => m(["e4", 0]) === m("a1,e4"), expected: true },
+  { name: "toSquares in index order", got: () => toSquares(m("h8 a1 e4 b1")).join(" "), expected: "a1 b1 e4 h8" },
+  { name: "iterate yields indexes", got: () => [...iterate(m("a1 h1 a8 h8"))].join(","), expected: "0,7,56,63" },
+  { name: "popcount", got: () => popcount(fileMask("a") | rankMask(1)), expected: 15 },
+  { name: "popcount of DARK / LIGHT / ALL", got: () => [DARK, LIGHT, ALL].map(popcount).join(","), expected: "32,32,64" },
+  { name: "has by name and index", got: () => [has(DARK, "a1"), has(DARK, "h1"), has(LIGHT, 7)].join(","), expected: "true,false,true" },
+  { name: "flips keeps all eight images", got: () => flips(m("d4")).length, expected: 8 },
+  { name: "square <-> index", got: () => indexToSquare(squareToIndex("g6")), expected: "g6" },
+  { name: "bad squares throw", got: () => throws(() => m("e9")) + throws(() => indexToSquare(64)) + throws(() => fileMask("i")), expected: 3 },
+];
+
+function throws(fn) {
+  try {
+    fn();
+    return 0;
+  } catch {
+    return 1;
+  }
+}
+
+let passed = 0;
+
+for (const t of setTests) {
+  try {
+    assertEqual(bitboardToAscii(t.got()), bitboardToAscii(m(t.expected)), `❌ ${t.name}`);
+    console.log(`✅ ${t.name}`);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+for (const t of valueTests) {
+  try {
+    assertEqual(t.got(), t.expected, `❌ ${t.name}`);
+    console.log(`✅ ${t.name}`);
+    passed++;
+  } catch (err) {
+    console.error(err.message);
+  }
+}
+
+const total = setTests.length + valueTests.length;
+console.log(`\n${passed}/${total} tests passed`);
+if (passed !== total) process.exit(1);